@@ -0,0 +1,169 @@
+// Dedupe benchmark: synthetic metro-wide run with duplicate listings across sources
+// Usage: node benchmark-dedupe.js [rawLeadCount] [strategy]
+// Without a strategy all three run, and the run fails unless looser strategies
+// leave no more unique leads than stricter ones (aggressive <= balanced <= strict)
+
+import { generateDedupeId } from './src/utils/dedupeId.js';
+import { deduplicateLeads } from './src/processing/dedupe.js';
+import { mergeLeads } from './src/processing/merge.js';
+
+const RAW_LEADS = Number(process.argv[2]) || 50000;
+const STRATEGIES = process.argv[3] ? [process.argv[3]] : ['strict', 'balanced', 'aggressive'];
+
+const ADJECTIVES = ['Acme', 'Apex', 'Summit', 'Blue', 'Golden', 'Rocky', 'Pioneer', 'Liberty', 'Evergreen', 'Eagle',
+  'Premier', 'Reliable', 'Precision', 'Allied', 'Metro', 'Front Range', 'Mile High', 'Peak', 'Cornerstone', 'Keystone',
+  'Pinnacle', 'Heritage', 'Patriot', 'Valley', 'Canyon', 'Aspen', 'Cedar', 'Granite', 'Silver', 'Redwood'];
+const NOUNS = ['Star', 'Bear', 'Creek', 'Ridge', 'River', 'Stone', 'Oak', 'Pine', 'Hawk', 'Wolf',
+  'Bridge', 'Arrow', 'Shield', 'Anchor', 'Beacon', 'Harbor', 'Compass', 'Crown', 'Falcon', 'Mesa'];
+const TRADES = ['Plumbing', 'HVAC', 'Electric', 'Roofing', 'Landscaping', 'Painting', 'Dental', 'Auto Repair', 'Cleaning', 'Pest Control',
+  'Heating & Air', 'Flooring', 'Remodeling', 'Tree Service', 'Garage Doors', 'Locksmith', 'Law Firm', 'Chiropractic', 'Insurance', 'Movers'];
+const STREETS = ['Main', 'Colfax', 'Broadway', 'Federal', 'Colorado', 'Alameda', 'Evans', 'Hampden', 'Wadsworth', 'Sheridan'];
+const SOURCES = ['googleMaps', 'yelp', 'bbb', 'chambers', 'serp'];
+
+// Deterministic PRNG so runs are comparable; reset before each strategy so all see the same leads
+const SEED = 42;
+let seed = SEED;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+const pick = list => list[Math.floor(random() * list.length)];
+
+// Share of businesses that are branches of a chain: same name and website, own phone and address
+const CHAIN_SHARE = 0.15;
+
+function createBusinesses(count) {
+  const businesses = [];
+
+  while (businesses.length < count) {
+    const name = `${pick(ADJECTIVES)} ${pick(NOUNS)} ${pick(TRADES)}`;
+    const chain = random() < CHAIN_SHARE / 3 ? businesses.length : null;
+    const locations = chain === null ? 1 : 2 + Math.floor(random() * 5);
+
+    for (let i = 0; i < locations && businesses.length < count; i++) {
+      const id = businesses.length;
+      businesses.push({
+        id,
+        chain,
+        name,
+        number: 100 + Math.floor(random() * 9900),
+        street: pick(STREETS),
+        phone: `+1303${String(1000000 + id).slice(-7)}`,
+        domain: chain === null ? `biz${id}.com` : `chain${chain}.com`,
+        lat: 39.5 + random() * 0.5,
+        lng: -105.2 + random() * 0.6
+      });
+    }
+  }
+  return businesses;
+}
+
+// One source's view of a business: spelling, missing fields and coordinates vary
+function listing(business, source) {
+  const name = random() < 0.2 ? `${business.name} LLC` : business.name;
+  const suffix = random() < 0.5 ? 'Street' : 'St';
+  const website = random() < 0.7 ? `https://www.${business.domain}/` : '';
+
+  return {
+    dedupeId: '',
+    confidence: 0.8,
+    truth: business.id,
+    chain: business.chain,
+    sources: { [source]: { url: `https://example.com/${source}/${business.id}` } },
+    business: {
+      name: name,
+      category: '',
+      categories: [],
+      address: {
+        street: `${business.number} ${business.street} ${suffix}`,
+        city: 'Denver',
+        state: 'CO',
+        postalCode: '80202',
+        country: 'US',
+        formatted: `${business.number} ${business.street} ${suffix}, Denver, CO 80202`
+      },
+      geo: random() < 0.8 ? { lat: business.lat + (random() - 0.5) * 0.0005, lng: business.lng + (random() - 0.5) * 0.0005 } : { lat: 0, lng: 0 },
+      phone: '',
+      phoneE164: random() < 0.7 ? business.phone : ''
+    },
+    online: { website: website, domain: website ? business.domain : '' },
+    contacts: { emails: [], phones: [], keyPeople: [] },
+    signals: { reviews: { rating: 4, reviewCount: 10 } },
+    score: {},
+    ai: {},
+    raw: { collectedAt: new Date().toISOString() }
+  };
+}
+
+function createRawLeads(count) {
+  const businesses = createBusinesses(Math.round(count / 2.5));
+  const leads = [];
+
+  while (leads.length < count) {
+    const business = pick(businesses);
+    leads.push(listing(business, pick(SOURCES)));
+  }
+  return leads;
+}
+
+// Pairwise precision / recall of the clusters against the generated truth
+function accuracy(leads) {
+  const countPairs = groups => [...groups.values()].reduce((sum, n) => sum + n * (n - 1) / 2, 0);
+  const byCluster = new Map();
+  const byTruth = new Map();
+  const byBoth = new Map();
+
+  for (const lead of leads) {
+    byCluster.set(lead.dedupeId, (byCluster.get(lead.dedupeId) || 0) + 1);
+    byTruth.set(lead.truth, (byTruth.get(lead.truth) || 0) + 1);
+    byBoth.set(`${lead.dedupeId}|${lead.truth}`, (byBoth.get(`${lead.dedupeId}|${lead.truth}`) || 0) + 1);
+  }
+
+  const correct = countPairs(byBoth);
+  return {
+    precision: (correct / (countPairs(byCluster) || 1)).toFixed(3),
+    recall: (correct / (countPairs(byTruth) || 1)).toFixed(3)
+  };
+}
+
+function runStrategy(strategy) {
+  seed = SEED;
+  const leads = createRawLeads(RAW_LEADS);
+  const timings = {};
+  let start = Date.now();
+
+  leads.forEach(lead => {
+    lead.dedupeId = generateDedupeId(lead.business);
+  });
+  timings.dedupeIdMs = Date.now() - start;
+
+  start = Date.now();
+  deduplicateLeads(leads, strategy);
+  timings.deduplicateMs = Date.now() - start;
+
+  const quality = accuracy(leads);
+  // Branches of the same chain share name and domain; merging two of them is a false merge
+  const chainQuality = accuracy(leads.filter(lead => lead.chain !== null));
+
+  start = Date.now();
+  const merged = mergeLeads(leads);
+  timings.mergeMs = Date.now() - start;
+
+  console.log(`Raw leads: ${leads.length}, strategy: ${strategy}`);
+  console.log(`Unique leads after merge: ${merged.length}`);
+  console.log(`Pairwise precision ${quality.precision}, recall ${quality.recall}`);
+  console.log(`Chain branches (${leads.filter(lead => lead.chain !== null).length} leads sharing a domain): precision ${chainQuality.precision}, recall ${chainQuality.recall}`);
+  console.log('Timings:', timings);
+
+  return merged.length;
+}
+
+const unique = {};
+for (const strategy of STRATEGIES) {
+  unique[strategy] = runStrategy(strategy);
+}
+
+if (STRATEGIES.length > 1 && !(unique.aggressive <= unique.balanced && unique.balanced <= unique.strict)) {
+  console.error(`Strategies out of order: aggressive ${unique.aggressive}, balanced ${unique.balanced}, strict ${unique.strict} unique leads`);
+  process.exitCode = 1;
+}
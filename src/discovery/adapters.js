@@ -0,0 +1,84 @@
+// Built-in discovery source adapters (see registry.js for the adapter shape)
+
+import { scrapeGoogleMaps } from './googleMaps.js';
+import { scrapeGoogleMapsApi } from './googleMapsApi.js';
+import { scrapeYelp } from './yelp.js';
+import { scrapeYelpApi } from './yelpApi.js';
+import { scrapeBBB } from './bbb.js';
+import { scrapeChambers } from './chambers.js';
+import { scrapeNicheDirectories } from './nicheDirectories.js';
+import { scrapeSERP } from './serp.js';
+
+export const BUILT_IN_SOURCES = [
+  {
+    id: 'googleMaps',
+    name: 'Google Maps',
+    capabilities: { api: true, scrape: true, needsKey: true, supportsRadius: 'api', supportsPagination: true },
+    inputOptions: {
+      'apiKeys.googlePlaces': 'Google Places API key (API mode, or GOOGLE_PLACES_API_KEY)',
+      geoMode: 'Radius mode tiles the circle with nearby searches (API mode)',
+      maxResultsPerLocation: 'Results per search'
+    },
+    rateLimit: { requestsPerSecond: 10, maxConcurrent: 5, scrape: { requestsPerSecond: 0, minIntervalMs: 2000, maxConcurrent: 1 } },
+    discover: ({ keyword, location, options }, ctx) => ctx.useApis
+      ? scrapeGoogleMapsApi(keyword, location, { ...options, rateLimiter: ctx.rateLimiter })
+      : scrapeGoogleMaps(keyword, location, options)
+  },
+  {
+    id: 'yelp',
+    name: 'Yelp',
+    capabilities: { api: true, scrape: true, needsKey: true, supportsRadius: false, supportsPagination: true },
+    inputOptions: {
+      'apiKeys.yelp': 'Yelp Fusion API key (API mode, or YELP_API_KEY)',
+      maxResultsPerLocation: 'Results per search',
+      'reviewSignals.enabled': 'Fetch the newest reviews per business (API mode, off by default, one extra request each)'
+    },
+    rateLimit: { requestsPerSecond: 5, maxConcurrent: 3, dailyQuota: 5000, scrape: { requestsPerSecond: 0, minIntervalMs: 3000, maxConcurrent: 1, dailyQuota: 0 } },
+    discover: ({ keyword, location, options }, ctx) => ctx.useApis
+      ? scrapeYelpApi(keyword, location, { ...options, rateLimiter: ctx.rateLimiter })
+      : scrapeYelp(keyword, location, options)
+  },
+  {
+    id: 'bbb',
+    name: 'BBB',
+    capabilities: { api: false, scrape: true, needsKey: false, supportsRadius: false, supportsPagination: false },
+    inputOptions: {
+      maxResultsPerLocation: 'Results per search',
+      'reviewSignals.enabled': 'Fetch the customer reviews page of each business (off by default, one extra request each)'
+    },
+    rateLimit: { minIntervalMs: 3000, maxConcurrent: 1 },
+    discover: ({ keyword, location, options }) => scrapeBBB(keyword, location, options)
+  },
+  {
+    id: 'chambers',
+    name: 'Chambers',
+    capabilities: { api: false, scrape: true, needsKey: false, supportsRadius: false, supportsPagination: true },
+    inputOptions: {
+      chamberDirectoryUrls: 'Member directory URLs (discovered per location when empty)',
+      maxResultsPerLocation: 'Results per search'
+    },
+    rateLimit: { minIntervalMs: 2000, maxConcurrent: 1 },
+    discover: ({ keyword, location, options }) => scrapeChambers(keyword, location, options)
+  },
+  {
+    id: 'nicheDirectories',
+    name: 'Niche directories',
+    capabilities: { api: false, scrape: true, needsKey: false, supportsRadius: false, supportsPagination: true, pacesRequests: true },
+    inputOptions: {
+      nicheDirectories: 'Enabled built-in directories and custom directory definitions',
+      maxResultsPerLocation: 'Results per directory search'
+    },
+    rateLimit: { minIntervalMs: 1000, maxConcurrent: 2 },
+    discover: ({ keyword, location, options }, ctx) => scrapeNicheDirectories(keyword, location, { ...options, rateLimiter: ctx.rateLimiter })
+  },
+  {
+    id: 'serp',
+    name: 'SERP',
+    capabilities: { api: false, scrape: true, needsKey: false, supportsRadius: false, supportsPagination: false },
+    inputOptions: {
+      maxResultsPerLocation: 'Results per search'
+    },
+    rateLimit: { minIntervalMs: 5000, maxConcurrent: 1 },
+    discover: ({ keyword, location, options }) => scrapeSERP(keyword, location, options)
+  }
+];
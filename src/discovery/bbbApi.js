@@ -1,9 +1,14 @@
 import { CheerioCrawler, log } from 'crawlee';
 import { parsePhoneNumber } from 'libphonenumber-js';
+import { isolatedCrawlerConfig } from '../utils/crawlerConfig.js';
+import { parseAddress } from '../utils/address.js';
+import { summarizeReviews } from '../utils/reviewSignals.js';
 
 export async function scrapeBBB(keyword, location, options) {
   const leads = [];
   const maxResults = options?.maxResultsPerLocation || 100;
+  // Opt-in: one extra request per business for its customer reviews page
+  const fetchReviews = Boolean(options?.reviewSignals?.enabled);
   
   log.info(`Searching BBB: ${keyword} in ${location}`);
 
@@ -11,11 +16,16 @@ export async function scrapeBBB(keyword, location, options) {
     const searchUrl = `https://www.bbb.org/search?find_text=${encodeURIComponent(keyword)}&find_loc=${encodeURIComponent(location)}&page=1`;
     
     const crawler = new CheerioCrawler({
-      maxRequestsPerCrawl: Math.ceil(maxResults / 10),
+      maxRequestsPerCrawl: Math.ceil(maxResults / 10) + (fetchReviews ? maxResults : 0),
       maxConcurrency: 1,
       requestHandlerTimeoutSecs: 60,
-      async requestHandler({ $, request }) {
+      async requestHandler({ $, request, crawler: self }) {
         try {
+          if (request.userData.label === 'REVIEWS') {
+            applyReviewPage($, leads[request.userData.leadIndex]);
+            return;
+          }
+
           const businesses = $('.result-item, .search-result-item, [data-bbb-id]');
           
           if (businesses.length === 0) {
@@ -43,7 +53,7 @@ export async function scrapeBBB(keyword, location, options) {
               const accreditedText = $el.find('.accredited, .bbb-accredited').text().toLowerCase();
               const isAccredited = accreditedText.includes('accredited');
 
-              const address = parseAddress(addressText, location);
+              const address = parseAddress(addressText);
               
               let phone = phoneText.replace(/[^\d]/g, '');
               let phoneE164 = '';
@@ -100,7 +110,7 @@ export async function scrapeBBB(keyword, location, options) {
                   reviews: {
                     rating: rating,
                     reviewCount: 0,
-                    lastReviewDate: ''
+                    ...summarizeReviews([])
                   },
                   hours: {
                     isOpen: true,
@@ -126,6 +136,12 @@ export async function scrapeBBB(keyword, location, options) {
 
           log.info(`Found ${leads.length} businesses on BBB`);
 
+          if (fetchReviews) {
+            await self.addRequests(leads
+              .map((lead, leadIndex) => ({ url: reviewsUrl(lead.sources.bbb.url), userData: { label: 'REVIEWS', leadIndex } }))
+              .filter(reviewRequest => reviewRequest.url));
+          }
+
         } catch (error) {
           log.error('Failed to process BBB page:', error.message);
         }
@@ -133,7 +149,7 @@ export async function scrapeBBB(keyword, location, options) {
       failedRequestHandler({ request }) {
         log.warning(`BBB request failed: ${request.url}`);
       },
-    });
+    }, isolatedCrawlerConfig());
 
     await crawler.run([searchUrl]);
 
@@ -146,38 +162,49 @@ export async function scrapeBBB(keyword, location, options) {
   }
 }
 
-function parseAddress(addressText, location) {
-  const parts = addressText.split(',').map(s => s.trim());
-  
-  const address = {
-    street: '',
-    city: '',
-    state: '',
-    postalCode: '',
-    country: 'US',
-    formatted: addressText
-  };
-
-  if (parts.length >= 3) {
-    address.street = parts[0];
-    address.city = parts[1];
-    
-    const lastPart = parts[parts.length - 1];
-    const stateZipMatch = lastPart.match(/([A-Z]{2})\s*(\d{5})/);
-    if (stateZipMatch) {
-      address.state = stateZipMatch[1];
-      address.postalCode = stateZipMatch[2];
-    }
-  } else if (parts.length === 2) {
-    address.city = parts[0];
-    const stateZipMatch = parts[1].match(/([A-Z]{2})\s*(\d{5})/);
-    if (stateZipMatch) {
-      address.state = stateZipMatch[1];
-      address.postalCode = stateZipMatch[2];
-    }
+// .../profile/plumber/acme-plumbing-1296-90012345 → .../acme-plumbing-1296-90012345/customer-reviews
+function reviewsUrl(profileUrl) {
+  try {
+    const url = new URL(profileUrl);
+    if (!url.pathname.includes('/profile/')) return '';
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/customer-reviews`;
+    url.search = '';
+    return url.href;
+  } catch (e) {
+    return '';
   }
+}
+
+// Review cards show "MM/DD/YYYY" dates and, when the owner replied, a "Business Response" block
+function applyReviewPage($, lead) {
+  if (!lead) return;
+
+  const reviews = [];
+  $('.bpr-review, [class*="review-card"], li[id^="review"]').each((index, element) => {
+    const $el = $(element);
+    const text = $el.text();
+    const date = $el.find('time[datetime]').attr('datetime') || parseUsDate(text);
+    if (!date) return;
+
+    reviews.push({
+      date: date,
+      hasOwnerResponse: /business\s+response/i.test(text) || $el.find('[class*="response"]').length > 0
+    });
+  });
+
+  const countMatch = $('body').text().match(/([\d,]+)\s+Customer\s+Reviews/i);
+  const reviewCount = countMatch ? parseInt(countMatch[1].replace(/,/g, ''), 10) : 0;
+
+  lead.signals.reviews = {
+    ...lead.signals.reviews,
+    reviewCount: lead.signals.reviews.reviewCount || reviewCount,
+    ...summarizeReviews(reviews)
+  };
+}
 
-  return address;
+function parseUsDate(text) {
+  const match = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  return match ? `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}` : '';
 }
 
 function extractDomain(url) {
@@ -1,3 +1,355 @@
+// Chamber of Commerce member directory scraping
+// Most chambers host their directory on ChamberMaster / GrowthZone, which share
+// a predictable URL layout and card markup. Other platforms are handled with
+// schema.org and generic card selectors as a best effort.
+
+import { CheerioCrawler, log } from 'crawlee';
+import { parsePhoneNumber } from 'libphonenumber-js';
+import { isolatedCrawlerConfig } from '../utils/crawlerConfig.js';
+import { normalizeAddress } from '../utils/address.js';
+
+const PLATFORMS = {
+  chamberMaster: {
+    cards: '.mn-listing, .mn-list-item',
+    name: '.mn-title a, .mn-title, [itemprop="name"]',
+    memberLink: '.mn-title a',
+    street: '.mn-address1, [itemprop="streetAddress"]',
+    city: '.mn-cityspan, [itemprop="addressLocality"]',
+    state: '.mn-stspan, [itemprop="addressRegion"]',
+    postalCode: '.mn-zipspan, [itemprop="postalCode"]',
+    phone: '.mn-phone, [itemprop="telephone"]',
+    website: '.mn-website a, a[itemprop="url"]',
+    category: '.mn-cat, .mn-category',
+    nextPage: '.mn-pagination a[rel="next"], a.mn-next'
+  },
+  growthZone: {
+    cards: '.gz-list-card-wrapper, .gz-directory-card, .card.gz-results-card',
+    name: '.gz-card-title a, .gz-card-title, [itemprop="name"]',
+    memberLink: '.gz-card-title a',
+    street: '.gz-street-address, [itemprop="streetAddress"]',
+    city: '.gz-address-city, [itemprop="addressLocality"]',
+    state: '[itemprop="addressRegion"]',
+    postalCode: '[itemprop="postalCode"]',
+    phone: '.gz-card-phone a, .gz-card-phone, [itemprop="telephone"]',
+    website: '.gz-card-website a, a[itemprop="url"]',
+    category: '.gz-cat, .gz-card-category',
+    nextPage: '.gz-pagination a[rel="next"], .pagination a[rel="next"]'
+  },
+  generic: {
+    cards: '[itemtype*="schema.org/LocalBusiness"], [itemtype*="schema.org/Organization"], .member-listing, .member-card, .directory-listing',
+    name: '[itemprop="name"], .member-name, h3, h4',
+    memberLink: '[itemprop="name"] a, .member-name a, h3 a, h4 a',
+    street: '[itemprop="streetAddress"], .street, .address1',
+    city: '[itemprop="addressLocality"], .city',
+    state: '[itemprop="addressRegion"], .state',
+    postalCode: '[itemprop="postalCode"], .zip',
+    phone: '[itemprop="telephone"], .phone, a[href^="tel:"]',
+    website: 'a[itemprop="url"], .website a, a.website',
+    category: '.category, .member-category',
+    nextPage: 'a[rel="next"]'
+  }
+};
+
 export async function scrapeChambers(keyword, location, options) {
-  return [];
+  const leads = [];
+  const maxResults = options?.maxResultsPerLocation || 100;
+
+  log.info(`Searching Chamber of Commerce directories: ${keyword} in ${location}`);
+
+  try {
+    let directoryUrls = options?.chamberDirectoryUrls || [];
+
+    if (directoryUrls.length === 0) {
+      directoryUrls = await discoverDirectories(location);
+    }
+
+    if (directoryUrls.length === 0) {
+      log.warning(`No chamber directories found for ${location}. Set chamberDirectoryUrls to target specific chambers.`);
+      return [];
+    }
+
+    const startRequests = directoryUrls.map(directoryUrl => ({
+      url: buildSearchUrl(directoryUrl, keyword),
+      userData: { directoryUrl }
+    }));
+
+    const crawler = new CheerioCrawler({
+      maxRequestsPerCrawl: directoryUrls.length * Math.max(Math.ceil(maxResults / 20), 1),
+      maxConcurrency: 1,
+      requestHandlerTimeoutSecs: 60,
+      async requestHandler({ $, request, enqueueLinks }) {
+        try {
+          const platform = detectPlatform(request.url, $);
+          const selectors = PLATFORMS[platform];
+          const cards = $(selectors.cards);
+
+          if (cards.length === 0) {
+            log.warning(`No chamber member cards found on ${request.url} - directory structure may differ`);
+            return;
+          }
+
+          const chamberName = extractChamberName($);
+
+          cards.each((index, element) => {
+            if (leads.length >= maxResults) return false;
+
+            try {
+              const lead = convertCardToLead($, $(element), selectors, {
+                keyword,
+                location,
+                platform,
+                chamberName,
+                directoryUrl: request.userData.directoryUrl,
+                pageUrl: request.url
+              });
+
+              if (lead) {
+                leads.push(lead);
+              }
+            } catch (error) {
+              log.warning('Failed to parse chamber member card:', error.message);
+            }
+          });
+
+          log.info(`Found ${cards.length} members on ${chamberName || request.url}`);
+
+          if (leads.length < maxResults) {
+            await enqueueLinks({
+              selector: selectors.nextPage,
+              userData: request.userData
+            });
+          }
+        } catch (error) {
+          log.error('Failed to process chamber directory page:', error.message);
+        }
+      },
+      failedRequestHandler({ request }) {
+        log.warning(`Chamber directory request failed: ${request.url}`);
+      },
+    }, isolatedCrawlerConfig());
+
+    await crawler.run(startRequests);
+
+    log.info(`Collected ${leads.length} leads from Chamber of Commerce directories`);
+    return leads;
+
+  } catch (error) {
+    log.error('Chamber scraping failed:', error.message);
+    return [];
+  }
+}
+
+// Find member directories for a location through a Google search, keeping only
+// links that look like ChamberMaster / GrowthZone listing pages
+async function discoverDirectories(location) {
+  const directories = new Set();
+  const query = `${location} chamber of commerce member directory`;
+  const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&num=20`;
+
+  const crawler = new CheerioCrawler({
+    maxRequestsPerCrawl: 1,
+    maxConcurrency: 1,
+    requestHandlerTimeoutSecs: 60,
+    async requestHandler({ $ }) {
+      $('a[href]').each((index, element) => {
+        const href = cleanGoogleLink($(element).attr('href'));
+        const directoryUrl = toDirectoryRoot(href);
+        if (directoryUrl) {
+          directories.add(directoryUrl);
+        }
+      });
+    },
+    failedRequestHandler({ request }) {
+      log.warning(`Chamber directory discovery failed: ${request.url}`);
+    },
+  }, isolatedCrawlerConfig());
+
+  await crawler.run([searchUrl]);
+
+  const found = [...directories].slice(0, 3);
+  log.info(`Discovered ${found.length} chamber directories for ${location}`);
+  return found;
+}
+
+function cleanGoogleLink(href) {
+  if (!href) return '';
+  if (href.startsWith('/url?')) {
+    const params = new URLSearchParams(href.slice(5));
+    return params.get('q') || '';
+  }
+  return href;
+}
+
+function toDirectoryRoot(href) {
+  try {
+    const url = new URL(href);
+    const isChamberHost = /chambermaster\.com$|growthzoneapp\.com$|chamber/i.test(url.hostname);
+    if (!isChamberHost) return '';
+
+    const listMatch = url.pathname.match(/^(.*?\/(?:list|directory|members|member-directory))(?:\/|$)/i);
+    if (!listMatch) return '';
+
+    return `${url.origin}${listMatch[1]}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+function buildSearchUrl(directoryUrl, keyword) {
+  const base = directoryUrl.replace(/\/+$/, '');
+  const term = encodeURIComponent(keyword);
+
+  if (/\/list$/i.test(base)) {
+    return `${base}/search?q=${term}&st=0`;
+  }
+  if (/\/directory$/i.test(base)) {
+    return `${base}/Search?term=${term}`;
+  }
+  if (base.includes('?')) {
+    return directoryUrl;
+  }
+  return `${base}?search=${term}`;
+}
+
+function detectPlatform(url, $) {
+  if (/chambermaster\.com/i.test(url) || $('.mn-listing, .mn-list-item').length > 0) {
+    return 'chamberMaster';
+  }
+  if (/growthzoneapp\.com/i.test(url) || $('.gz-list-card-wrapper, .gz-directory-card, .gz-results-card').length > 0) {
+    return 'growthZone';
+  }
+  return 'generic';
+}
+
+function extractChamberName($) {
+  const siteName = $('meta[property="og:site_name"]').attr('content');
+  if (siteName) return siteName.trim();
+
+  const title = $('title').text().trim();
+  const chamberMatch = title.match(/[^|\-–]*chamber[^|\-–]*/i);
+  return chamberMatch ? chamberMatch[0].trim() : title;
+}
+
+function detectMembershipLevel($card, platform) {
+  const classes = ($card.attr('class') || '').toLowerCase();
+  const badgeText = $card.find('.mn-member-level, .gz-member-level, .membership-level, .gz-featured, .mn-sponsor-badge').first().text().trim();
+
+  if (badgeText) return badgeText;
+  if (classes.includes('mn-sponsor') || classes.includes('gz-featured') || classes.includes('featured')) return 'Featured';
+  if (classes.includes('mn-nonsponsor') || platform !== 'generic') return 'Member';
+  return '';
+}
+
+function convertCardToLead($, $card, selectors, context) {
+  const name = $card.find(selectors.name).first().text().trim();
+  if (!name) return null;
+
+  const memberHref = $card.find(selectors.memberLink).first().attr('href') || '';
+  const memberUrl = memberHref ? new URL(memberHref, context.pageUrl).href : '';
+
+  const street = $card.find(selectors.street).first().text().trim();
+  const city = $card.find(selectors.city).first().text().trim().replace(/,$/, '');
+  const state = $card.find(selectors.state).first().text().trim();
+  const postalCode = $card.find(selectors.postalCode).first().text().trim();
+
+  const phoneText = $card.find(selectors.phone).first().text().trim();
+  let phoneE164 = '';
+  let phoneFormatted = phoneText;
+
+  if (phoneText.replace(/[^\d]/g, '').length >= 10) {
+    try {
+      const parsed = parsePhoneNumber(phoneText, 'US');
+      phoneE164 = parsed.number;
+      phoneFormatted = parsed.formatNational();
+    } catch (e) {
+      phoneE164 = '';
+    }
+  }
+
+  const websiteUrl = $card.find(selectors.website).first().attr('href') || '';
+  const website = websiteUrl.startsWith('http') ? websiteUrl : '';
+  const domain = website ? extractDomain(website) : '';
+
+  const categoryText = $card.find(selectors.category).first().text().trim();
+  const category = categoryText || context.keyword;
+  const membershipLevel = detectMembershipLevel($card, context.platform);
+
+  return {
+    dedupeId: '',
+    confidence: 0.8,
+    sources: {
+      chambers: {
+        url: context.directoryUrl,
+        memberUrl: memberUrl,
+        chamberName: context.chamberName,
+        platform: context.platform,
+        membershipLevel: membershipLevel
+      }
+    },
+    business: {
+      name: name,
+      category: category,
+      categories: [category],
+      description: '',
+      address: normalizeAddress({
+        street: street,
+        city: city,
+        state: state,
+        postalCode: postalCode,
+        country: 'US'
+      }),
+      geo: { lat: 0, lng: 0 },
+      phone: phoneFormatted,
+      phoneE164: phoneE164
+    },
+    online: {
+      website: website,
+      domain: domain,
+      socials: {}
+    },
+    contacts: {
+      emails: [],
+      phones: phoneE164 ? [{
+        phone: phoneFormatted,
+        phoneE164: phoneE164,
+        source: 'chambers',
+        confidence: 0.85
+      }] : [],
+      keyPeople: []
+    },
+    signals: {
+      reviews: {
+        rating: 0,
+        reviewCount: 0,
+        lastReviewDate: ''
+      },
+      hours: {
+        isOpen: true,
+        hoursText: ''
+      },
+      chamberMembership: {
+        isMember: true,
+        chamberName: context.chamberName,
+        membershipLevel: membershipLevel
+      },
+      websiteSignals: {},
+      techSignals: {}
+    },
+    score: {},
+    ai: {},
+    raw: {
+      collectedAt: new Date().toISOString(),
+      runId: '',
+      notes: `Chamber of Commerce member${context.chamberName ? ` (${context.chamberName})` : ''}`
+    }
+  };
+}
+
+function extractDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname.replace('www.', '');
+  } catch (e) {
+    return '';
+  }
 }
@@ -0,0 +1,263 @@
+// customUrls seed type: build leads straight from a list of business websites
+// The homepage gives us the basics (name, address, phone, domain); the regular
+// enrichment phase then crawls the site for emails, socials and tech signals,
+// starting from the homepage already fetched here instead of requesting it again.
+
+import { log } from 'crawlee';
+import * as cheerio from 'cheerio';
+import { simpleFetch } from '../enrichment/simpleFetch.js';
+import { extractPhones } from '../enrichment/phoneExtractor.js';
+import { parseAddress, normalizeAddress } from '../utils/address.js';
+
+// Fetched homepages by URL, held only until enrichment takes them (kept off the lead so checkpoints stay small)
+const homepages = new Map();
+
+const LOCAL_BUSINESS_TYPES = /LocalBusiness|Organization|Store|Service|Contractor|Plumber|Electrician|Dentist|Restaurant|Attorney|Physician|Clinic|Agency|Company/i;
+
+export async function scrapeCustomUrls(urls, options) {
+  const leads = [];
+  const allUrls = [...new Set((urls || [])
+    .map(entry => normalizeUrl(typeof entry === 'string' ? entry : entry?.url))
+    .filter(Boolean))];
+  // Every URL yields a lead, so URLs past maxTotalResults are never fetched
+  const maxResults = options?.maxTotalResults || 500;
+  const uniqueUrls = allUrls.slice(0, maxResults);
+  const batchSize = options?.runMode?.maxConcurrency || 5;
+
+  if (allUrls.length > uniqueUrls.length) {
+    log.info(`Skipping ${allUrls.length - uniqueUrls.length} custom URLs beyond maxTotalResults (${maxResults})`);
+  }
+  log.info(`Building leads from ${uniqueUrls.length} custom URLs`);
+
+  for (let i = 0; i < uniqueUrls.length; i += batchSize) {
+    const batch = uniqueUrls.slice(i, i + batchSize);
+
+    const results = await Promise.all(batch.map(async (url) => {
+      try {
+        return await buildLeadFromUrl(url, options);
+      } catch (error) {
+        log.warning(`Failed to build lead from ${url}:`, error.message);
+        return null;
+      }
+    }));
+
+    leads.push(...results.filter(Boolean));
+  }
+
+  log.info(`Collected ${leads.length} leads from custom URLs`);
+  return leads;
+}
+
+// Hands over (once) the homepage HTML fetched for a custom URL lead, or null
+export function takeCustomUrlHomepage(url) {
+  const html = homepages.get(url) || null;
+  homepages.delete(url);
+  return html;
+}
+
+async function buildLeadFromUrl(url, options) {
+  const domain = extractDomain(url);
+  const result = await simpleFetch(url, 10000);
+
+  if (!result.success) {
+    log.warning(`Could not fetch ${url} (${result.error}), creating lead from domain only`);
+  } else if (options?.enrichment?.crawlWebsite) {
+    homepages.set(url, result.html);
+  }
+
+  const html = result.success ? result.html : '';
+  const $ = cheerio.load(html || '');
+  const schema = findLocalBusinessSchema($);
+
+  const name = cleanText(schema?.name) ||
+    cleanText($('meta[property="og:site_name"]').attr('content')) ||
+    nameFromTitle($('title').first().text()) ||
+    nameFromDomain(domain);
+
+  const address = schema?.address
+    ? parseSchemaAddress(schema.address)
+    : parseMicrodataAddress($);
+
+  const phones = extractPhones(html);
+  const schemaPhone = cleanText(schema?.telephone);
+  const primaryPhone = phones.find(p => schemaPhone && p.phoneE164.endsWith(schemaPhone.replace(/[^\d]/g, '').slice(-10))) || phones[0];
+
+  const description = cleanText(schema?.description) ||
+    cleanText($('meta[name="description"]').attr('content')) ||
+    '';
+
+  const category = schemaCategory(schema);
+
+  return {
+    dedupeId: '',
+    confidence: result.success ? 0.7 : 0.4,
+    sources: {
+      customUrl: {
+        url: url,
+        fetched: result.success
+      }
+    },
+    business: {
+      name: name,
+      category: category,
+      categories: category ? [category] : [],
+      description: description.substring(0, 500),
+      address: address,
+      geo: {
+        lat: Number(schema?.geo?.latitude) || 0,
+        lng: Number(schema?.geo?.longitude) || 0
+      },
+      phone: primaryPhone?.phone || '',
+      phoneE164: primaryPhone?.phoneE164 || ''
+    },
+    online: {
+      website: url,
+      domain: domain,
+      socials: {}
+    },
+    contacts: {
+      emails: [],
+      phones: phones.map(p => ({ ...p, source: 'customUrl' })),
+      keyPeople: []
+    },
+    signals: {
+      reviews: {
+        rating: Number(schema?.aggregateRating?.ratingValue) || 0,
+        reviewCount: Number(schema?.aggregateRating?.reviewCount || schema?.aggregateRating?.ratingCount) || 0,
+        lastReviewDate: ''
+      },
+      hours: {
+        isOpen: true,
+        hoursText: Array.isArray(schema?.openingHours) ? schema.openingHours.join(', ') : cleanText(schema?.openingHours)
+      },
+      websiteSignals: {},
+      techSignals: {}
+    },
+    score: {},
+    ai: {},
+    raw: {
+      collectedAt: new Date().toISOString(),
+      runId: '',
+      notes: 'Built from custom URL homepage'
+    }
+  };
+}
+
+// Find the first schema.org LocalBusiness-like node in the page's JSON-LD blocks
+function findLocalBusinessSchema($) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    try {
+      const data = JSON.parse($(element).contents().text());
+      collectNodes(data, nodes);
+    } catch (e) {
+      // Malformed JSON-LD is common; ignore the block
+    }
+  });
+
+  return nodes.find(node => {
+    const types = [].concat(node['@type'] || []);
+    return types.some(type => LOCAL_BUSINESS_TYPES.test(type));
+  }) || null;
+}
+
+function collectNodes(data, nodes) {
+  if (Array.isArray(data)) {
+    data.forEach(item => collectNodes(item, nodes));
+  } else if (data && typeof data === 'object') {
+    nodes.push(data);
+    if (data['@graph']) {
+      collectNodes(data['@graph'], nodes);
+    }
+  }
+}
+
+function schemaCategory(schema) {
+  if (!schema) return '';
+  const types = [].concat(schema['@type'] || []);
+  const specific = types.find(type => !/^(LocalBusiness|Organization|Corporation)$/i.test(type));
+  return specific ? specific.replace(/([a-z])([A-Z])/g, '$1 $2') : '';
+}
+
+function parseSchemaAddress(schemaAddress) {
+  if (typeof schemaAddress === 'string') {
+    return parseAddress(cleanText(schemaAddress));
+  }
+
+  const address = Array.isArray(schemaAddress) ? schemaAddress[0] : schemaAddress;
+  const street = cleanText(address?.streetAddress);
+  const city = cleanText(address?.addressLocality);
+  const state = cleanText(address?.addressRegion);
+  const postalCode = cleanText(address?.postalCode);
+  const country = cleanText(typeof address?.addressCountry === 'object' ? address.addressCountry.name : address?.addressCountry) || 'US';
+
+  return normalizeAddress({
+    street: street,
+    city: city,
+    state: state,
+    postalCode: postalCode,
+    country: country
+  });
+}
+
+function parseMicrodataAddress($) {
+  const $address = $('[itemprop="address"]').first();
+  const read = (prop) => cleanText($address.find(`[itemprop="${prop}"]`).first().text());
+
+  const street = read('streetAddress');
+  const city = read('addressLocality');
+  const state = read('addressRegion');
+  const postalCode = read('postalCode');
+
+  return normalizeAddress({
+    street: street,
+    city: city,
+    state: state,
+    postalCode: postalCode,
+    country: 'US'
+  });
+}
+
+// "Acme Plumbing | Denver's Best Plumber" -> "Acme Plumbing"; "Home - Acme Plumbing" -> "Acme Plumbing"
+function nameFromTitle(title) {
+  const segments = cleanText(title)
+    .split(/\s+[|\-–—:•]\s+/)
+    .map(s => s.trim())
+    .filter(s => s && !/^(home|homepage|welcome)$/i.test(s));
+
+  return segments[0] || '';
+}
+
+function nameFromDomain(domain) {
+  const label = domain.split('.')[0] || domain;
+  return label
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+function normalizeUrl(url) {
+  const trimmed = (url || '').trim();
+  if (!trimmed) return '';
+
+  try {
+    const urlObj = new URL(trimmed.startsWith('http') ? trimmed : `https://${trimmed}`);
+    return urlObj.href;
+  } catch (e) {
+    log.warning(`Skipping invalid custom URL: ${trimmed}`);
+    return '';
+  }
+}
+
+function extractDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname.replace('www.', '');
+  } catch (e) {
+    return '';
+  }
+}
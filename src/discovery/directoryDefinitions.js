@@ -0,0 +1,107 @@
+// Built-in niche directory definitions for nicheDirectories.js
+//
+// A definition describes how to search a directory and read its listings:
+//   searchUrl   - URL template; placeholders: {keyword}, {location}, {city}, {state},
+//                 {keywordSlug}, {citySlug}, {stateSlug}, {page}
+//   list.item   - selector for one listing card on the search results page
+//   list.link   - selector for the card's link to the listing detail page
+//   fields      - field mappings read from each card
+//   detail      - optional { fields } read from the detail page (overrides card values)
+//   pagination  - { type: 'next', selector, maxPages } or { type: 'param', param, start, maxPages }
+//
+// A field mapping is either a selector string (text content) or an object:
+//   { selector, attr, regex, type: 'text' | 'number' | 'list', default }
+//
+// Selectors here reflect each site's markup at the time of writing. Sites change;
+// users can override a built-in by supplying a definition with the same id.
+
+export const BUILT_IN_DIRECTORIES = [
+  {
+    id: 'angi',
+    name: 'Angi',
+    searchUrl: 'https://www.angi.com/companylist/us/{stateSlug}/{citySlug}/{keywordSlug}.htm',
+    list: {
+      item: '[data-testid="pro-card"], .pro-card, .company-card',
+      link: 'a[href*="/companylist/us/"]'
+    },
+    fields: {
+      name: '[data-testid="pro-name"], .pro-card__name, h3',
+      rating: { selector: '[data-testid="rating"], .rating', type: 'number' },
+      reviewCount: { selector: '[data-testid="review-count"], .review-count', regex: '(\\d[\\d,]*)', type: 'number' },
+      address: '.pro-card__location, .location'
+    },
+    detail: {
+      fields: {
+        phone: { selector: 'a[href^="tel:"]', attr: 'href', regex: 'tel:(.+)' },
+        website: { selector: 'a[data-testid="website-link"], a.website-link', attr: 'href' },
+        address: '[data-testid="address"], .address',
+        description: '[data-testid="about"], .business-description',
+        categories: { selector: '[data-testid="service-tag"], .services-list li', type: 'list' }
+      }
+    },
+    pagination: { type: 'param', param: 'page', start: 1, maxPages: 3 }
+  },
+  {
+    id: 'houzz',
+    name: 'Houzz',
+    searchUrl: 'https://www.houzz.com/professionals/{keywordSlug}/{citySlug}-{stateSlug}-us-probr0-bo~t_11786',
+    list: {
+      item: '.hz-pro-search-result, [data-component="ProSearchResult"]',
+      link: 'a.hz-pro-ctl, a[href*="/professionals/"][href*="/pro/"], a[href*="/pro/"]'
+    },
+    fields: {
+      name: '.hz-pro-search-result__name, [itemprop="name"], h3',
+      rating: { selector: '.hz-star-rate__rating-number, [itemprop="ratingValue"]', type: 'number' },
+      reviewCount: { selector: '.hz-star-rate__review-string, [itemprop="reviewCount"]', regex: '(\\d[\\d,]*)', type: 'number' },
+      phone: '.hz-pro-search-result__contact-info, [itemprop="telephone"]',
+      address: '.hz-pro-search-result__location-info, [itemprop="address"]'
+    },
+    detail: {
+      fields: {
+        website: { selector: 'a[data-compid="Profile_Website"], a[itemprop="url"]', attr: 'href' },
+        description: '[data-compid="Profile_About"], .hz-pro-about'
+      }
+    },
+    pagination: { type: 'next', selector: 'a.hz-pagination-link--next, a[rel="next"]', maxPages: 3 }
+  },
+  {
+    id: 'healthgrades',
+    name: 'Healthgrades',
+    searchUrl: 'https://www.healthgrades.com/usearch?what={keyword}&where={location}&pageNum={page}',
+    list: {
+      item: '[data-qa-target="provider-card"], .card-content',
+      link: 'a[data-qa-target="provider-details-link"], h3 a'
+    },
+    fields: {
+      name: '[data-qa-target="provider-details-link"], h3',
+      category: '[data-qa-target="provider-specialty"], .specialty',
+      rating: { selector: '[data-qa-target="star-rating"], .star-rating', attr: 'aria-label', regex: '([\\d.]+)', type: 'number' },
+      reviewCount: { selector: '[data-qa-target="rating-count"], .rating-count', regex: '(\\d[\\d,]*)', type: 'number' },
+      address: '[data-qa-target="location-address"], .location-info address'
+    },
+    detail: {
+      fields: {
+        phone: { selector: 'a[href^="tel:"]', attr: 'href', regex: 'tel:(.+)' },
+        website: { selector: 'a[data-qa-target="practice-website"]', attr: 'href' }
+      }
+    },
+    pagination: { type: 'param', param: 'pageNum', start: 1, maxPages: 3 }
+  },
+  {
+    id: 'nari',
+    name: 'NARI (National Association of the Remodeling Industry)',
+    searchUrl: 'https://www.remodelingdoneright.com/search?keyword={keyword}&location={location}',
+    list: {
+      item: '.member-result, .directory-result, [itemtype*="schema.org/LocalBusiness"]',
+      link: '.member-result__name a, [itemprop="name"] a'
+    },
+    fields: {
+      name: '.member-result__name, [itemprop="name"]',
+      phone: '.member-result__phone, [itemprop="telephone"]',
+      website: { selector: '.member-result__website a, a[itemprop="url"]', attr: 'href' },
+      address: '.member-result__address, [itemprop="address"]',
+      categories: { selector: '.member-result__specialties li', type: 'list' }
+    },
+    pagination: { type: 'next', selector: 'a[rel="next"], .pagination__next a', maxPages: 3 }
+  }
+];
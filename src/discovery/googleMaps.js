@@ -1,5 +1,7 @@
 import { PlaywrightCrawler, log } from 'crawlee';
 import { parsePhoneNumber } from 'libphonenumber-js';
+import { isolatedCrawlerConfig } from '../utils/crawlerConfig.js';
+import { parseAddress } from '../utils/address.js';
 
 export async function scrapeGoogleMaps(keyword, location, options) {
   const leads = [];
@@ -62,7 +64,7 @@ export async function scrapeGoogleMaps(keyword, location, options) {
         log.error('Google Maps scraping failed:', error.message);
       }
     },
-  });
+  }, isolatedCrawlerConfig());
   
   await crawler.run([searchUrl]);
   
@@ -167,33 +169,3 @@ async function extractBusinessData(page, location) {
     return null;
   }
 }
-
-function parseAddress(addressText) {
-  const cleaned = addressText.replace('Address: ', '').trim();
-  const parts = cleaned.split(',').map(p => p.trim());
-  
-  let street = '';
-  let city = '';
-  let state = '';
-  let postalCode = '';
-  
-  if (parts.length >= 3) {
-    street = parts[0];
-    city = parts[1];
-    const lastPart = parts[2];
-    const stateZipMatch = lastPart.match(/([A-Z]{2})\s+(\d{5})/);
-    if (stateZipMatch) {
-      state = stateZipMatch[1];
-      postalCode = stateZipMatch[2];
-    }
-  }
-  
-  return {
-    street: street,
-    city: city,
-    state: state,
-    postalCode: postalCode,
-    country: 'US',
-    formatted: cleaned
-  };
-}
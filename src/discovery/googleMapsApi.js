@@ -1,4 +1,15 @@
 import { log } from 'crawlee';
+import { haversineMiles, tileCircle, splitCell, cellIntersectsCircle, cellBounds, METERS_PER_MILE } from '../utils/geo.js';
+import { recordApiCall, getApiCostEstimate } from '../utils/apiCost.js';
+import { normalizeAddress } from '../utils/address.js';
+import { summarizeReviews } from '../utils/reviewSignals.js';
+import { searchPlacesText, convertNewPlaceToLead, resolveFieldTier, SEARCH_TEXT_RESULT_CAP } from './googlePlacesNew.js';
+
+// Nearby Search returns at most 3 pages of 20 results per query
+const NEARBY_RESULT_CAP = 60;
+const MIN_CELL_MILES = 0.25;
+// Cell searches per radius query unless placesApi.maxRadiusCells says otherwise
+const DEFAULT_MAX_RADIUS_CELLS = 100;
 
 export async function scrapeGoogleMapsApi(keyword, location, options) {
   // Support both input keys and environment variables (for Apify secrets)
@@ -8,6 +19,14 @@ export async function scrapeGoogleMapsApi(keyword, location, options) {
     throw new Error('Google Places API key is required. Set apiKeys.googlePlaces in input or GOOGLE_PLACES_API_KEY environment variable.');
   }
 
+  if (options?.geoMode === 'radius') {
+    return scrapeGoogleMapsApiRadius(keyword, options, apiKey);
+  }
+
+  if (options?.placesApi?.version === 'new') {
+    return scrapeGooglePlacesNew(keyword, location, options, apiKey);
+  }
+
   const leads = [];
   const maxResults = options?.maxResultsPerLocation || 100;
   
@@ -15,7 +34,8 @@ export async function scrapeGoogleMapsApi(keyword, location, options) {
 
   try {
     const query = `${keyword} in ${location}`;
-    const url = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent(query)}&key=${apiKey}`;
+    const typeParam = options?.placesType ? `&type=${options.placesType}` : '';
+    const url = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent(query)}${typeParam}&key=${apiKey}`;
     
     let nextPageToken = null;
     let totalFetched = 0;
@@ -25,6 +45,8 @@ export async function scrapeGoogleMapsApi(keyword, location, options) {
         ? `${url}&pagetoken=${nextPageToken}`
         : url;
 
+      await options?.rateLimiter?.acquire();
+      recordApiCall('places.textSearch');
       const response = await fetch(fetchUrl);
       const data = await response.json();
 
@@ -37,7 +59,7 @@ export async function scrapeGoogleMapsApi(keyword, location, options) {
         for (const place of data.results) {
           if (totalFetched >= maxResults) break;
 
-          const placeDetails = await fetchPlaceDetails(place.place_id, apiKey);
+          const placeDetails = await fetchPlaceDetails(place.place_id, apiKey, options?.rateLimiter);
           const lead = convertPlaceToLead(place, placeDetails);
           
           if (lead) {
@@ -64,9 +86,197 @@ export async function scrapeGoogleMapsApi(keyword, location, options) {
   }
 }
 
-async function fetchPlaceDetails(placeId, apiKey) {
+// Places API (New): a single searchText call per page returns all fields in the tier's mask
+async function scrapeGooglePlacesNew(keyword, location, options, apiKey) {
+  const maxResults = options?.maxResultsPerLocation || 100;
+  const fieldTier = resolveFieldTier(options);
+
+  log.info(`Searching Google Places API (New, ${fieldTier} fields): ${keyword} in ${location}`);
+
+  try {
+    const places = await searchPlacesText(`${keyword} in ${location}`, apiKey, {
+      fieldTier,
+      maxResults,
+      placesType: options?.placesType,
+      rateLimiter: options?.rateLimiter
+    });
+
+    const leads = places.map(convertNewPlaceToLead).filter(Boolean);
+
+    log.info(`Collected ${leads.length} leads from Google Places API (New)`);
+    return leads;
+
+  } catch (error) {
+    log.error('Google Places API (New) request failed:', error.message);
+    return [];
+  }
+}
+
+// Radius mode: tile the circle into cells, run a search per cell and split
+// cells that hit the result cap, then clip to the real radius.
+// Legacy API uses nearby search + details; the new API a rectangle-restricted text search.
+// Splitting stops once enough places are found, and searching stops at the cell
+// budget (placesApi.maxRadiusCells) or the run's API spend limit (placesApi.maxCostUsd).
+async function scrapeGoogleMapsApiRadius(keyword, options, apiKey) {
+  const center = { lat: Number(options.centerLat), lng: Number(options.centerLng) };
+  const radiusMiles = Number(options.radiusMiles) || 10;
+  const maxResults = Math.min(options?.maxResultsPerLocation || 100, options?.maxTotalResults || 500);
+  const usesNewApi = options?.placesApi?.version === 'new';
+  const maxCells = options?.placesApi?.maxRadiusCells || DEFAULT_MAX_RADIUS_CELLS;
+  const maxCostUsd = options?.placesApi?.maxCostUsd || 0;
+
+  log.info(`Searching Google Places API${usesNewApi ? ' (New)' : ''}: ${keyword} within ${radiusMiles} mi of ${center.lat},${center.lng}`);
+
+  try {
+    const searchCell = usesNewApi
+      ? newApiCellSearch(keyword, apiKey, options)
+      : cell => nearbySearch(keyword, cell, apiKey, options?.placesType, options?.rateLimiter);
+    const toLead = usesNewApi
+      ? async place => convertNewPlaceToLead(place)
+      : async place => convertPlaceToLead(place, await fetchPlaceDetails(place.place_id, apiKey, options?.rateLimiter));
+
+    const places = new Map();
+    const queue = tileCircle(center, radiusMiles);
+    let searchedCells = 0;
+
+    log.info(`Radius search tiled into ${queue.length} cells`);
+
+    let skippedSplits = 0;
+
+    while (queue.length > 0) {
+      if (searchedCells >= maxCells) {
+        log.warning(`Radius search stopped at the ${maxCells}-cell budget (placesApi.maxRadiusCells), ${queue.length} cells not searched`);
+        break;
+      }
+      if (maxCostUsd > 0 && getApiCostEstimate().totalUsd >= maxCostUsd) {
+        log.warning(`Radius search stopped at the $${maxCostUsd} API cost limit (placesApi.maxCostUsd), ${queue.length} cells not searched`);
+        break;
+      }
+
+      const cell = queue.shift();
+      const { results, hitCap } = await searchCell(cell);
+      searchedCells++;
+
+      for (const { id, location, place } of results) {
+        if (!location || places.has(id)) continue;
+
+        const distanceMiles = haversineMiles(center, location);
+        if (distanceMiles <= radiusMiles) {
+          places.set(id, { place, distanceMiles });
+        }
+      }
+
+      if (hitCap && cell.sizeMiles / 2 >= MIN_CELL_MILES && places.size >= maxResults) {
+        skippedSplits++;
+      } else if (hitCap && cell.sizeMiles / 2 >= MIN_CELL_MILES) {
+        const subCells = splitCell(cell).filter(sub => cellIntersectsCircle(sub, center, radiusMiles));
+        log.debug(`Cell at ${cell.lat.toFixed(4)},${cell.lng.toFixed(4)} hit the result cap, splitting into ${subCells.length}`);
+        queue.push(...subCells);
+      }
+    }
+
+    if (skippedSplits > 0) {
+      log.info(`${skippedSplits} full cells not split further: ${places.size} places already found for ${maxResults} results`);
+    }
+    log.info(`Radius search covered ${searchedCells} cells, ${places.size} places inside ${radiusMiles} mi`);
+
+    const nearest = [...places.values()]
+      .sort((a, b) => a.distanceMiles - b.distanceMiles)
+      .slice(0, maxResults);
+
+    const leads = [];
+    for (const { place, distanceMiles } of nearest) {
+      const lead = await toLead(place);
+
+      if (lead) {
+        lead.distanceMiles = Math.round(distanceMiles * 100) / 100;
+        leads.push(lead);
+      }
+    }
+
+    log.info(`Collected ${leads.length} leads from Google Places API (radius mode)`);
+    return leads;
+
+  } catch (error) {
+    log.error('Google Places API radius search failed:', error.message);
+    return [];
+  }
+}
+
+async function nearbySearch(keyword, cell, apiKey, placesType, rateLimiter) {
+  const radiusMeters = Math.min(Math.round(cell.radiusMiles * METERS_PER_MILE), 50000);
+  const typeParam = placesType ? `&type=${placesType}` : '';
+  const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=${cell.lat},${cell.lng}&radius=${radiusMeters}&keyword=${encodeURIComponent(keyword)}${typeParam}&key=${apiKey}`;
+
+  const results = [];
+  let nextPageToken = null;
+
+  do {
+    const fetchUrl = nextPageToken
+      ? `${url}&pagetoken=${nextPageToken}`
+      : url;
+
+    await rateLimiter?.acquire();
+    recordApiCall('places.nearbySearch');
+    const response = await fetch(fetchUrl);
+    const data = await response.json();
+
+    if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+      log.error(`Google Places API error: ${data.status} - ${data.error_message || 'Unknown error'}`);
+      break;
+    }
+
+    results.push(...(data.results || []));
+    nextPageToken = data.next_page_token;
+
+    if (nextPageToken && results.length < NEARBY_RESULT_CAP) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    } else {
+      nextPageToken = null;
+    }
+
+  } while (nextPageToken);
+
+  return {
+    results: results.map(place => ({ id: place.place_id, location: place.geometry?.location, place })),
+    hitCap: results.length >= NEARBY_RESULT_CAP
+  };
+}
+
+function newApiCellSearch(keyword, apiKey, options) {
+  const fieldTier = resolveFieldTier(options);
+
+  return async (cell) => {
+    const { low, high } = cellBounds(cell);
+    const places = await searchPlacesText(keyword, apiKey, {
+      fieldTier,
+      maxResults: SEARCH_TEXT_RESULT_CAP,
+      placesType: options?.placesType,
+      locationRestriction: {
+        rectangle: {
+          low: { latitude: low.lat, longitude: low.lng },
+          high: { latitude: high.lat, longitude: high.lng }
+        }
+      },
+      rateLimiter: options?.rateLimiter
+    });
+
+    return {
+      results: places.map(place => ({
+        id: place.id,
+        location: place.location ? { lat: place.location.latitude, lng: place.location.longitude } : null,
+        place
+      })),
+      hitCap: places.length >= SEARCH_TEXT_RESULT_CAP
+    };
+  };
+}
+
+async function fetchPlaceDetails(placeId, apiKey, rateLimiter) {
   try {
-    const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}&fields=name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,address_components,geometry,types&key=${apiKey}`;
+    await rateLimiter?.acquire();
+    recordApiCall('places.details');
+    const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}&fields=name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,address_components,geometry,types,reviews&reviews_sort=newest&key=${apiKey}`;
     
     const response = await fetch(url);
     const data = await response.json();
@@ -140,7 +350,8 @@ function convertPlaceToLead(place, details) {
         reviews: {
           rating: details?.rating || place.rating || 0,
           reviewCount: details?.user_ratings_total || place.user_ratings_total || 0,
-          lastReviewDate: ''
+          // The 5 newest reviews; `time` is unix seconds and owner replies are not exposed
+          ...summarizeReviews((details?.reviews || []).map(review => ({ date: review.time })))
         },
         hours: {
           isOpen: true,
@@ -200,5 +411,5 @@ function parseAddressComponents(components, formattedAddress) {
 
   address.street = address.street.trim();
 
-  return address;
+  return normalizeAddress(address);
 }
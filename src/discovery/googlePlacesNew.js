@@ -0,0 +1,226 @@
+// Google Places API (New) text search
+// One places:searchText call returns everything in the field mask, so no
+// per-result details requests are needed. Google bills each call at the SKU of
+// the most expensive field in the mask, hence the fixed tiers below.
+
+import { log } from 'crawlee';
+import { recordApiCall } from '../utils/apiCost.js';
+import { normalizeAddress } from '../utils/address.js';
+import { summarizeReviews } from '../utils/reviewSignals.js';
+
+const SEARCH_TEXT_URL = 'https://places.googleapis.com/v1/places:searchText';
+
+// Text Search caps a query at 3 pages of 20 results
+export const SEARCH_TEXT_RESULT_CAP = 60;
+
+const BASIC_FIELDS = [
+  'places.id',
+  'places.displayName',
+  'places.formattedAddress',
+  'places.addressComponents',
+  'places.location',
+  'places.types',
+  'places.primaryType',
+  'places.primaryTypeDisplayName',
+  'places.googleMapsUri',
+  'places.businessStatus'
+];
+
+const ADVANCED_FIELDS = [
+  ...BASIC_FIELDS,
+  'places.nationalPhoneNumber',
+  'places.internationalPhoneNumber',
+  'places.websiteUri',
+  'places.rating',
+  'places.userRatingCount',
+  'places.regularOpeningHours',
+  'places.priceLevel'
+];
+
+const PREFERRED_FIELDS = [
+  ...ADVANCED_FIELDS,
+  'places.reviews',
+  'places.editorialSummary'
+];
+
+export const FIELD_TIERS = {
+  basic: BASIC_FIELDS,
+  advanced: ADVANCED_FIELDS,
+  preferred: PREFERRED_FIELDS
+};
+
+const PRICE_LEVELS = {
+  PRICE_LEVEL_FREE: 0,
+  PRICE_LEVEL_INEXPENSIVE: 1,
+  PRICE_LEVEL_MODERATE: 2,
+  PRICE_LEVEL_EXPENSIVE: 3,
+  PRICE_LEVEL_VERY_EXPENSIVE: 4
+};
+
+export function resolveFieldTier(options) {
+  const tier = options?.placesApi?.fieldTier || 'advanced';
+  if (!FIELD_TIERS[tier]) {
+    throw new Error(`Unknown Places API field tier "${tier}". Use basic, advanced or preferred.`);
+  }
+  return tier;
+}
+
+/**
+ * Run a paged places:searchText query. `locationRestriction` is an optional
+ * { rectangle: { low, high } } used by radius mode.
+ * Returns raw Places (New) place objects.
+ */
+export async function searchPlacesText(textQuery, apiKey, { fieldTier, maxResults, placesType, locationRestriction, rateLimiter }) {
+  const places = [];
+  const fieldMask = [...FIELD_TIERS[fieldTier], 'nextPageToken'].join(',');
+  let pageToken = null;
+
+  do {
+    const body = {
+      textQuery: textQuery,
+      pageSize: 20,
+      ...(placesType ? { includedType: placesType } : {}),
+      ...(locationRestriction ? { locationRestriction } : {}),
+      ...(pageToken ? { pageToken } : {})
+    };
+
+    await rateLimiter?.acquire();
+    recordApiCall(`placesNew.textSearch.${fieldTier}`);
+
+    const response = await fetch(SEARCH_TEXT_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Api-Key': apiKey,
+        'X-Goog-FieldMask': fieldMask
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      log.error(`Google Places API (New) error: ${data.error?.status || response.status} - ${data.error?.message || 'Unknown error'}`);
+      break;
+    }
+
+    places.push(...(data.places || []));
+    pageToken = data.nextPageToken;
+
+  } while (pageToken && places.length < maxResults && places.length < SEARCH_TEXT_RESULT_CAP);
+
+  return places.slice(0, maxResults);
+}
+
+export function convertNewPlaceToLead(place) {
+  try {
+    const name = place.displayName?.text;
+    if (!name) return null;
+
+    const address = parseAddressComponents(place.addressComponents || [], place.formattedAddress);
+
+    const phone = place.nationalPhoneNumber || '';
+    const phoneE164 = place.internationalPhoneNumber?.replace(/[^\d+]/g, '') || phone;
+
+    const website = place.websiteUri || '';
+    const domain = website ? new URL(website).hostname : '';
+
+    const types = (place.types || []).map(t => t.replace(/_/g, ' '));
+    const category = place.primaryTypeDisplayName?.text || place.primaryType?.replace(/_/g, ' ') || types[0] || '';
+    const isClosed = place.businessStatus === 'CLOSED_PERMANENTLY';
+    // Places returns up to 5 reviews; owner replies are not part of the API
+    const reviewActivity = summarizeReviews((place.reviews || []).map(review => ({ date: review.publishTime })));
+
+    return {
+      dedupeId: '',
+      confidence: 0.95,
+      sources: {
+        googleMaps: {
+          url: place.googleMapsUri || `https://www.google.com/maps/place/?q=place_id:${place.id}`,
+          placeId: place.id
+        }
+      },
+      business: {
+        name: name,
+        category: category,
+        categories: types.length > 0 ? types : [category].filter(Boolean),
+        description: place.editorialSummary?.text || '',
+        address: address,
+        geo: {
+          lat: place.location?.latitude || 0,
+          lng: place.location?.longitude || 0
+        },
+        phone: phone,
+        phoneE164: phoneE164
+      },
+      online: {
+        website: website,
+        domain: domain,
+        socials: {}
+      },
+      contacts: {
+        emails: [],
+        phones: phone ? [{
+          phone: phone,
+          phoneE164: phoneE164,
+          source: 'googlePlacesApi',
+          confidence: 0.95
+        }] : [],
+        keyPeople: []
+      },
+      signals: {
+        reviews: {
+          rating: place.rating || 0,
+          reviewCount: place.userRatingCount || 0,
+          ...reviewActivity
+        },
+        hours: {
+          isOpen: place.businessStatus ? place.businessStatus === 'OPERATIONAL' : true,
+          isOpenNow: place.regularOpeningHours?.openNow ?? null,
+          hoursText: (place.regularOpeningHours?.weekdayDescriptions || []).join(', ')
+        },
+        priceLevel: PRICE_LEVELS[place.priceLevel] || 0,
+        isClosed: isClosed,
+        websiteSignals: {},
+        techSignals: {}
+      },
+      score: {},
+      ai: {},
+      raw: {
+        collectedAt: new Date().toISOString(),
+        runId: '',
+        notes: 'Collected from Google Places API (New)'
+      }
+    };
+  } catch (error) {
+    log.warning('Failed to convert place to lead:', error.message);
+    return null;
+  }
+}
+
+function parseAddressComponents(components, formattedAddress) {
+  const address = {
+    street: '',
+    city: '',
+    state: '',
+    postalCode: '',
+    country: 'US',
+    formatted: formattedAddress || ''
+  };
+  let streetNumber = '';
+  let route = '';
+
+  for (const component of components) {
+    const types = component.types || [];
+
+    if (types.includes('street_number')) streetNumber = component.longText;
+    if (types.includes('route')) route = component.longText;
+    if (types.includes('locality')) address.city = component.longText;
+    if (types.includes('administrative_area_level_1')) address.state = component.shortText;
+    if (types.includes('postal_code')) address.postalCode = component.longText;
+    if (types.includes('country')) address.country = component.shortText;
+  }
+
+  address.street = [streetNumber, route].filter(Boolean).join(' ');
+
+  return normalizeAddress(address);
+}
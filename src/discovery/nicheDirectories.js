@@ -0,0 +1,367 @@
+// Config-driven niche directory source
+// Each directory (Angi, Houzz, Healthgrades, trade associations, ...) is described by
+// a definition (see directoryDefinitions.js) instead of a dedicated scraper module.
+
+import { CheerioCrawler, log } from 'crawlee';
+import { parsePhoneNumber } from 'libphonenumber-js';
+import { BUILT_IN_DIRECTORIES } from './directoryDefinitions.js';
+import { isolatedCrawlerConfig } from '../utils/crawlerConfig.js';
+import { parseAddress, locationDefaults } from '../utils/address.js';
+
+export async function scrapeNicheDirectories(keyword, location, options) {
+  const leads = [];
+  const directories = resolveDirectories(options?.nicheDirectories);
+
+  if (directories.length === 0) {
+    log.warning('No niche directories configured');
+    return [];
+  }
+
+  for (const directory of directories) {
+    try {
+      const directoryLeads = await scrapeDirectory(directory, keyword, location, options);
+      leads.push(...directoryLeads);
+    } catch (error) {
+      log.error(`${directory.name} scraping failed:`, error.message);
+    }
+  }
+
+  log.info(`Collected ${leads.length} leads from niche directories`);
+  return leads;
+}
+
+// Built-ins first, then user definitions (a user definition with a built-in id replaces it).
+// `enabled` limits the run to the listed ids; user definitions are always included.
+export function resolveDirectories(config = {}) {
+  const byId = new Map(BUILT_IN_DIRECTORIES.map(def => [def.id, def]));
+  const customIds = new Set();
+
+  for (const def of config.definitions || []) {
+    const error = validateDefinition(def);
+    if (error) {
+      log.warning(`Skipping niche directory definition ${def?.id || '(no id)'}: ${error}`);
+      continue;
+    }
+    byId.set(def.id, { ...def, name: def.name || def.id });
+    customIds.add(def.id);
+  }
+
+  const enabled = config.enabled && config.enabled.length > 0 ? new Set(config.enabled) : null;
+
+  return [...byId.values()].filter(def => !enabled || enabled.has(def.id) || customIds.has(def.id));
+}
+
+function validateDefinition(def) {
+  if (!def || typeof def !== 'object') return 'definition must be an object';
+  if (!def.id) return 'missing id';
+  if (!def.searchUrl) return 'missing searchUrl';
+  if (!def.list?.item) return 'missing list.item selector';
+  if (!def.fields?.name) return 'missing fields.name mapping';
+  return null;
+}
+
+async function scrapeDirectory(directory, keyword, location, options) {
+  const leads = [];
+  const maxResults = options?.maxResultsPerLocation || 100;
+  const maxPages = directory.pagination?.maxPages || 1;
+  const hasDetail = Boolean(directory.list.link && directory.detail?.fields);
+
+  log.info(`Searching ${directory.name}: ${keyword} in ${location}`);
+
+  const startUrl = buildPageUrl(directory, keyword, location, 1);
+
+  const rateLimiter = options?.rateLimiter;
+
+  const crawler = new CheerioCrawler({
+    maxRequestsPerCrawl: maxPages + (hasDetail ? maxResults : 0),
+    maxConcurrency: Number.isFinite(rateLimiter?.config.maxConcurrent) ? rateLimiter.config.maxConcurrent : 2,
+    requestHandlerTimeoutSecs: 60,
+    // Every list and detail page goes through the source limiter, like API requests do
+    preNavigationHooks: [
+      async ({ request }) => {
+        try {
+          await rateLimiter?.acquire();
+        } catch (error) {
+          request.noRetry = true;
+          throw error;
+        }
+      }
+    ],
+    async requestHandler({ $, request, crawler: self }) {
+      try {
+        if (request.userData.label === 'DETAIL') {
+          const lead = request.userData.lead;
+          try {
+            applyFields(lead, extractFields($, $.root(), directory.detail.fields));
+          } catch (error) {
+            log.warning(`Failed to parse ${directory.name} detail page ${request.url}:`, error.message);
+          }
+          finalizeLead(lead);
+          leads.push(lead);
+          return;
+        }
+
+        const items = $(directory.list.item);
+
+        if (items.length === 0) {
+          log.warning(`No ${directory.name} results on ${request.url} - page structure may have changed`);
+          return;
+        }
+
+        const detailRequests = [];
+        let queued = leads.length;
+
+        items.each((index, element) => {
+          if (queued >= maxResults) return false;
+
+          try {
+            const $item = $(element);
+            const values = extractFields($, $item, directory.fields);
+            if (!values.name) return;
+
+            const href = directory.list.link ? $item.find(directory.list.link).first().attr('href') : '';
+            const listingUrl = href ? new URL(href, request.url).href : request.url;
+            const lead = createLead(directory, keyword, location, listingUrl);
+            applyFields(lead, values);
+
+            if (hasDetail && href) {
+              detailRequests.push({ url: listingUrl, userData: { label: 'DETAIL', lead } });
+            } else {
+              finalizeLead(lead);
+              leads.push(lead);
+            }
+            queued++;
+          } catch (error) {
+            log.warning(`Failed to parse ${directory.name} listing:`, error.message);
+          }
+        });
+
+        if (detailRequests.length > 0) {
+          await self.addRequests(detailRequests);
+        }
+
+        const page = request.userData.page || 1;
+        if (queued < maxResults && page < maxPages) {
+          const nextUrl = findNextPageUrl($, directory, keyword, location, page, request.url);
+          if (nextUrl) {
+            await self.addRequests([{ url: nextUrl, userData: { page: page + 1 } }]);
+          }
+        }
+
+        log.info(`Found ${items.length} listings on ${directory.name} page ${page}`);
+      } catch (error) {
+        log.error(`Failed to process ${directory.name} page:`, error.message);
+      }
+    },
+    // A failed detail page still leaves the listing-page data, so the lead is kept with that
+    failedRequestHandler({ request }) {
+      log.warning(`${directory.name} request failed: ${request.url}`);
+      if (request.userData.label === 'DETAIL') {
+        const lead = request.userData.lead;
+        finalizeLead(lead);
+        leads.push(lead);
+      }
+    },
+  }, isolatedCrawlerConfig());
+
+  await crawler.run([{ url: startUrl, userData: { page: 1 } }]);
+
+  log.info(`Collected ${leads.length} leads from ${directory.name}`);
+  return leads.slice(0, maxResults);
+}
+
+function buildPageUrl(directory, keyword, location, page) {
+  const [city = '', state = ''] = location.split(',').map(p => p.trim());
+  const values = {
+    keyword: encodeURIComponent(keyword),
+    location: encodeURIComponent(location),
+    city: encodeURIComponent(city),
+    state: encodeURIComponent(state),
+    keywordSlug: slugify(keyword),
+    citySlug: slugify(city),
+    stateSlug: slugify(state),
+    page: String(page)
+  };
+
+  let url = directory.searchUrl.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  const pagination = directory.pagination;
+  if (pagination?.type === 'param' && !directory.searchUrl.includes('{page}')) {
+    const pageValue = (pagination.start ?? 1) + page - 1;
+    const urlObj = new URL(url);
+    urlObj.searchParams.set(pagination.param || 'page', String(pageValue));
+    url = urlObj.href;
+  }
+
+  return url;
+}
+
+function findNextPageUrl($, directory, keyword, location, page, currentUrl) {
+  const pagination = directory.pagination;
+  if (!pagination) return '';
+
+  if (pagination.type === 'next') {
+    const href = $(pagination.selector || 'a[rel="next"]').first().attr('href');
+    return href ? new URL(href, currentUrl).href : '';
+  }
+
+  return buildPageUrl(directory, keyword, location, page + 1);
+}
+
+function extractFields($, $scope, mappings) {
+  const values = {};
+
+  for (const [field, mapping] of Object.entries(mappings || {})) {
+    const spec = typeof mapping === 'string' ? { selector: mapping } : mapping;
+    const $matches = spec.selector ? $scope.find(spec.selector) : $scope;
+
+    if (spec.type === 'list') {
+      values[field] = $matches.map((i, el) => readValue($(el), spec)).get().filter(Boolean);
+      continue;
+    }
+
+    const raw = $matches.length > 0 ? readValue($matches.first(), spec) : '';
+    if (!raw) {
+      if (spec.default !== undefined) values[field] = spec.default;
+      continue;
+    }
+
+    values[field] = spec.type === 'number' ? parseFloat(raw.replace(/,/g, '')) || 0 : raw;
+  }
+
+  return values;
+}
+
+function readValue($el, spec) {
+  let value = (spec.attr ? $el.attr(spec.attr) : $el.text()) || '';
+  value = value.replace(/\s+/g, ' ').trim();
+
+  if (spec.regex && value) {
+    const match = value.match(new RegExp(spec.regex, 'i'));
+    value = match ? (match[1] ?? match[0]).trim() : '';
+  }
+
+  return value;
+}
+
+function createLead(directory, keyword, location, listingUrl) {
+  return {
+    dedupeId: '',
+    confidence: 0.7,
+    sources: {
+      nicheDirectories: {
+        [directory.id]: {
+          directory: directory.name,
+          url: listingUrl
+        }
+      }
+    },
+    business: {
+      name: '',
+      category: keyword,
+      categories: [keyword],
+      description: '',
+      address: {
+        street: '',
+        city: '',
+        state: '',
+        postalCode: '',
+        country: 'US',
+        formatted: ''
+      },
+      geo: { lat: 0, lng: 0 },
+      phone: '',
+      phoneE164: ''
+    },
+    online: {
+      website: '',
+      domain: '',
+      socials: {}
+    },
+    contacts: {
+      emails: [],
+      phones: [],
+      keyPeople: []
+    },
+    signals: {
+      reviews: {
+        rating: 0,
+        reviewCount: 0,
+        lastReviewDate: ''
+      },
+      hours: {
+        isOpen: true,
+        hoursText: ''
+      },
+      websiteSignals: {},
+      techSignals: {}
+    },
+    score: {},
+    ai: {},
+    raw: {
+      collectedAt: new Date().toISOString(),
+      runId: '',
+      notes: `Collected from ${directory.name}`,
+      directoryId: directory.id,
+      searchLocation: location
+    }
+  };
+}
+
+function applyFields(lead, values) {
+  const business = lead.business;
+
+  if (values.name) business.name = values.name;
+  if (values.description) business.description = values.description.substring(0, 500);
+  if (values.category) business.category = values.category;
+  if (values.categories?.length > 0) {
+    business.categories = values.categories;
+    if (!values.category) business.category = values.categories[0];
+  }
+  if (values.address) business.address = parseAddress(values.address, locationDefaults(lead.raw.searchLocation));
+  if (values.phone) business.phone = values.phone;
+  if (values.website && values.website.startsWith('http')) lead.online.website = values.website;
+  if (values.rating) lead.signals.reviews.rating = values.rating;
+  if (values.reviewCount) lead.signals.reviews.reviewCount = values.reviewCount;
+}
+
+function finalizeLead(lead) {
+  const phoneText = lead.business.phone;
+  if (phoneText && phoneText.replace(/[^\d]/g, '').length >= 10) {
+    try {
+      const parsed = parsePhoneNumber(phoneText, 'US');
+      lead.business.phone = parsed.formatNational();
+      lead.business.phoneE164 = parsed.number;
+      lead.contacts.phones = [{
+        phone: lead.business.phone,
+        phoneE164: parsed.number,
+        source: lead.raw.directoryId,
+        confidence: 0.8
+      }];
+    } catch (e) {
+      lead.business.phoneE164 = '';
+    }
+  }
+
+  if (lead.online.website) {
+    lead.online.domain = extractDomain(lead.online.website);
+  }
+
+  delete lead.raw.searchLocation;
+}
+
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function extractDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname.replace('www.', '');
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Discovery source registry
+ *
+ * A source adapter is a plain object:
+ *   {
+ *     id: 'yelp',                       // value used in input.sources
+ *     name: 'Yelp',                     // label for logs and RUN_SUMMARY
+ *     capabilities: { api, scrape, needsKey, supportsRadius, supportsPagination, pacesRequests },
+ *     inputOptions: { optionName: 'description' },   // input fields the adapter reads
+ *     rateLimit: { requestsPerSecond, minIntervalMs, maxConcurrent, dailyQuota, scrape: {...} },
+ *     discover: async ({ keyword, location, options }, ctx) => leads[]
+ *   }
+ *
+ * supportsRadius is true, 'api' (only with useApis) or false. In radius mode
+ * adapters without it are skipped: they only search by location text, and the
+ * center's "lat,lng" would end up as the city of their leads.
+ *
+ * ctx is { input, useApis, radiusMode, rateLimiter }; API adapters should call
+ * `await ctx.rateLimiter.acquire()` before each request. Scrapers that do the
+ * same (e.g. in a crawler's preNavigationHooks) set pacesRequests; others are
+ * counted as one request per query. Built-in adapters live in adapters.js;
+ * third-party adapters are loaded from input.sourceModules.
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { log } from 'crawlee';
+import { discoverForSeed } from '../utils/categoryTaxonomy.js';
+import { BUILT_IN_SOURCES } from './adapters.js';
+
+const adapters = new Map();
+
+BUILT_IN_SOURCES.forEach(adapter => registerSource(adapter));
+
+export function registerSource(adapter) {
+  if (!adapter?.id || typeof adapter.discover !== 'function') {
+    throw new Error('Source adapter must have an id and a discover(query, ctx) function');
+  }
+
+  if (adapters.has(adapter.id)) {
+    log.warning(`Source adapter "${adapter.id}" is already registered, replacing it`);
+  }
+
+  adapters.set(adapter.id, {
+    name: adapter.id,
+    capabilities: {},
+    inputOptions: {},
+    ...adapter
+  });
+}
+
+export function getSource(id) {
+  return adapters.get(id) || null;
+}
+
+export function listSources() {
+  return [...adapters.values()];
+}
+
+/**
+ * Import third-party adapter modules. A module may default-export one adapter,
+ * an array of adapters, or export `adapters`. Returns the ids it registered.
+ */
+export async function loadSourceModules(specifiers = []) {
+  const loaded = [];
+
+  for (const specifier of specifiers) {
+    try {
+      const isPath = specifier.startsWith('.') || specifier.startsWith('/');
+      const module = await import(isPath ? pathToFileURL(resolve(specifier)).href : specifier);
+      const exported = [].concat(module.adapters || module.default || []);
+
+      for (const adapter of exported) {
+        registerSource(adapter);
+        loaded.push(adapter.id);
+      }
+
+      log.info(`Loaded source module ${specifier}: ${exported.map(a => a.id).join(', ')}`);
+    } catch (error) {
+      log.error(`Failed to load source module ${specifier}`, { error: error.message });
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Resolve the adapters to run for this input, warning about unknown ids and
+ * adapters that cannot honor the requested mode.
+ */
+export function selectSources(sourceIds, ctx) {
+  const selected = [];
+
+  for (const id of sourceIds) {
+    const adapter = adapters.get(id);
+
+    if (!adapter) {
+      log.warning(`Unknown source "${id}" - no adapter registered, skipping`);
+      continue;
+    }
+
+    if (!ctx.useApis && adapter.capabilities.api && !adapter.capabilities.scrape) {
+      log.warning(`${adapter.name} is API-only and useApis is off, skipping`);
+      continue;
+    }
+
+    const radius = adapter.capabilities.supportsRadius;
+    if (ctx.radiusMode && !(radius === true || (radius === 'api' && ctx.useApis))) {
+      log.warning(`${adapter.name} cannot search a radius${radius === 'api' ? ' without useApis' : ''}, skipping it in radius mode`);
+      continue;
+    }
+
+    log.debug(`${adapter.name} reads input options: ${Object.keys(adapter.inputOptions).join(', ') || 'none'}`);
+    selected.push(adapter);
+  }
+
+  return selected;
+}
+
+export function createSourceStats(selected) {
+  const stats = {};
+
+  for (const adapter of selected) {
+    stats[adapter.id] = {
+      name: adapter.name,
+      queries: 0,
+      leads: 0,
+      errors: 0,
+      skipped: 0,
+      timeMs: 0,
+      lastError: ''
+    };
+  }
+
+  return stats;
+}
+
+// Run one seed × location on one adapter with error isolation and timing
+export async function runSource(adapter, seed, location, ctx, stats) {
+  const sourceStats = stats[adapter.id];
+  const start = Date.now();
+
+  try {
+    const leads = await discoverForSeed(seed, adapter.id, ctx.input, (keyword, options) => {
+      sourceStats.queries++;
+      return adapter.discover({ keyword, location, options }, ctx);
+    });
+    sourceStats.leads += leads.length;
+    log.info(`${adapter.name}: ${leads.length} leads found`);
+    return leads;
+  } catch (error) {
+    sourceStats.errors++;
+    sourceStats.lastError = error.message;
+    log.error(`${adapter.name} discovery failed`, { error: error.message });
+    return [];
+  } finally {
+    sourceStats.timeMs += Date.now() - start;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Concurrent discovery scheduler
+ * Runs location × seed × source tasks up to runMode.maxConcurrency at once, while
+ * each source's limiter caps its own concurrency, request pacing and daily quota.
+ */
+
+import { log } from 'crawlee';
+import { runSource } from './registry.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+
+export function buildDiscoveryTasks(locations, seeds, activeSources) {
+  const tasks = [];
+
+  for (const location of locations) {
+    for (const seed of seeds) {
+      for (const adapter of activeSources) {
+        tasks.push({ adapter, seed, location });
+      }
+    }
+  }
+
+  return tasks;
+}
+
+// API adapters get the API limits; scraping can declare gentler `rateLimit.scrape` overrides.
+// input.rateLimits[sourceId] overrides both.
+export function createSourceLimiters(activeSources, ctx, usedToday = {}) {
+  const limiters = {};
+
+  for (const adapter of activeSources) {
+    const { scrape: scrapeLimits, ...apiLimits } = adapter.rateLimit || {};
+    const usesApi = ctx.useApis && adapter.capabilities.api;
+    const config = {
+      ...apiLimits,
+      ...(usesApi ? {} : scrapeLimits),
+      ...ctx.input.rateLimits?.[adapter.id]
+    };
+
+    limiters[adapter.id] = createRateLimiter(adapter.name, config, usedToday[adapter.id] || 0);
+  }
+
+  return limiters;
+}
+
+export function taskKey(task) {
+  return `${task.adapter.id}|${task.seed.id || task.seed.label}|${task.location}`;
+}
+
+/**
+ * Run all tasks and return their leads in task order, capped at maxTotal.
+ * Once maxTotal leads are collected no new tasks start; in-flight tasks finish
+ * and the overflow is trimmed. Tasks already finished in the checkpoint reuse
+ * their saved leads; newly finished tasks are recorded in it.
+ */
+export function runDiscovery(tasks, { ctx, stats, limiters, concurrency, maxTotal, checkpoint }) {
+  const results = new Array(tasks.length);
+  const pending = [];
+  let running = 0;
+  let collected = 0;
+  let stopped = false;
+
+  tasks.forEach((task, index) => {
+    const saved = checkpoint?.completedTask(taskKey(task));
+    if (saved) {
+      results[index] = saved;
+      collected += saved.length;
+    } else {
+      pending.push({ task, index });
+    }
+  });
+
+  if (pending.length < tasks.length) {
+    log.info(`Reusing ${tasks.length - pending.length} discovery tasks from checkpoint`);
+  }
+  stopped = collected >= maxTotal;
+
+  return new Promise(resolve => {
+    const pump = () => {
+      if (!stopped) {
+        skipExhausted(pending, limiters, stats);
+      }
+
+      while (!stopped && running < concurrency) {
+        const pickIndex = pending.findIndex(({ task }) => limiters[task.adapter.id].hasCapacity());
+        if (pickIndex === -1) break;
+
+        const { task, index } = pending.splice(pickIndex, 1)[0];
+        const limiter = limiters[task.adapter.id];
+        running++;
+        limiter.start();
+
+        runTask(task, limiter, ctx, stats)
+          .then(leads => {
+            results[index] = leads;
+            collected += leads.length;
+            checkpoint?.recordTask(taskKey(task), leads);
+
+            if (collected >= maxTotal && !stopped) {
+              stopped = true;
+              log.info('Max total results reached, stopping discovery');
+            }
+          })
+          .finally(() => {
+            running--;
+            limiter.finish();
+            pump();
+          });
+      }
+
+      if (running === 0 && (stopped || pending.length === 0)) {
+        resolve(results.filter(Boolean).flat().slice(0, maxTotal));
+      }
+    };
+
+    pump();
+  });
+}
+
+async function runTask(task, limiter, ctx, stats) {
+  const taskCtx = { ...ctx, rateLimiter: limiter };
+
+  // API modules and pacesRequests scrapers acquire per HTTP request themselves; other scrapers count one request per query
+  if (!(ctx.useApis && task.adapter.capabilities.api) && !task.adapter.capabilities.pacesRequests) {
+    try {
+      await limiter.acquire();
+    } catch (error) {
+      log.warning(error.message);
+      stats[task.adapter.id].skipped++;
+      return [];
+    }
+  }
+
+  log.info(`Processing: ${task.seed.label} in ${task.location} (${task.adapter.name})`);
+  return runSource(task.adapter, task.seed, task.location, taskCtx, stats);
+}
+
+function skipExhausted(pending, limiters, stats) {
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const { task } = pending[i];
+    if (limiters[task.adapter.id].exhausted) {
+      stats[task.adapter.id].skipped++;
+      pending.splice(i, 1);
+    }
+  }
+}
@@ -1,5 +1,6 @@
 import { CheerioCrawler, log } from 'crawlee';
 import { parsePhoneNumber } from 'libphonenumber-js';
+import { isolatedCrawlerConfig } from '../utils/crawlerConfig.js';
 
 export async function scrapeSERP(keyword, location, options) {
   const leads = [];
@@ -149,7 +150,7 @@ export async function scrapeSERP(keyword, location, options) {
       failedRequestHandler({ request }) {
         log.warning(`SERP request failed: ${request.url}`);
       },
-    });
+    }, isolatedCrawlerConfig());
 
     await crawler.run([searchUrl]);
 
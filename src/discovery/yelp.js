@@ -1,11 +1,14 @@
 import { CheerioCrawler, log } from 'crawlee';
 import { parsePhoneNumber } from 'libphonenumber-js';
+import { isolatedCrawlerConfig } from '../utils/crawlerConfig.js';
+import { parseAddress, locationDefaults } from '../utils/address.js';
 
 export async function scrapeYelp(keyword, location, options) {
   const leads = [];
   const searchQuery = keyword.replace(/\s+/g, '+');
   const locationQuery = location.replace(/\s+/g, '+');
-  const searchUrl = `https://www.yelp.com/search?find_desc=${searchQuery}&find_loc=${locationQuery}`;
+  const categoryFilter = options?.yelpCategories?.length ? `&cflt=${options.yelpCategories[0]}` : '';
+  const searchUrl = `https://www.yelp.com/search?find_desc=${searchQuery}&find_loc=${locationQuery}${categoryFilter}`;
   
   log.info(`Searching Yelp: ${keyword} in ${location}`);
   
@@ -47,6 +50,17 @@ export async function scrapeYelp(keyword, location, options) {
             });
             const category = categories[0] || '';
             
+            let price = '';
+            $business.find('span').each((i, span) => {
+              const text = $(span).text().trim();
+              if (/^\${1,4}$/.test(text)) {
+                price = text;
+                return false;
+              }
+            });
+            
+            const isClosed = /closed permanently|permanently closed/i.test($business.text());
+            
             const addressParts = [];
             $business.find('p').each((i, p) => {
               const text = $(p).text().trim();
@@ -55,7 +69,7 @@ export async function scrapeYelp(keyword, location, options) {
               }
             });
             const addressText = addressParts[0] || '';
-            const address = parseYelpAddress(addressText, location);
+            const address = parseAddress(addressText, locationDefaults(location));
             
             const phoneText = $business.find('p[data-font-weight="semibold"]').text().trim();
             const phone = phoneText.match(/\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/) ? phoneText : '';
@@ -75,7 +89,12 @@ export async function scrapeYelp(keyword, location, options) {
               sources: {
                 yelp: {
                   url: bizUrl,
-                  bizId: bizId
+                  bizId: bizId,
+                  price: price,
+                  categories: categories,
+                  isClosed: isClosed,
+                  rating: rating,
+                  reviewCount: reviewCount
                 }
               },
               business: {
@@ -110,9 +129,11 @@ export async function scrapeYelp(keyword, location, options) {
                   lastReviewDate: ''
                 },
                 hours: {
-                  isOpen: true,
+                  isOpen: !isClosed,
                   hoursText: ''
                 },
+                priceLevel: price.length,
+                isClosed: isClosed,
                 websiteSignals: {},
                 techSignals: {}
               },
@@ -134,58 +155,10 @@ export async function scrapeYelp(keyword, location, options) {
         log.error('Yelp scraping failed:', error.message);
       }
     },
-  });
+  }, isolatedCrawlerConfig());
   
   await crawler.run([searchUrl]);
   
   log.info(`Collected ${leads.length} leads from Yelp`);
   return leads;
 }
-
-function parseYelpAddress(addressText, location) {
-  if (!addressText) {
-    return {
-      street: '',
-      city: '',
-      state: '',
-      postalCode: '',
-      country: 'US',
-      formatted: ''
-    };
-  }
-  
-  const parts = addressText.split(',').map(p => p.trim());
-  let street = '';
-  let city = '';
-  let state = '';
-  let postalCode = '';
-  
-  if (parts.length >= 1) {
-    street = parts[0];
-  }
-  
-  if (parts.length >= 2) {
-    const lastPart = parts[parts.length - 1];
-    const stateZipMatch = lastPart.match(/([A-Z]{2})\s+(\d{5})/);
-    if (stateZipMatch) {
-      state = stateZipMatch[1];
-      postalCode = stateZipMatch[2];
-    }
-    
-    if (parts.length >= 3) {
-      city = parts[1];
-    } else {
-      const locationParts = location.split(',');
-      city = locationParts[0]?.trim() || '';
-    }
-  }
-  
-  return {
-    street: street,
-    city: city,
-    state: state,
-    postalCode: postalCode,
-    country: 'US',
-    formatted: addressText
-  };
-}
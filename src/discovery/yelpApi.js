@@ -1,5 +1,8 @@
 import { log } from 'crawlee';
 import { parsePhoneNumber } from 'libphonenumber-js';
+import { normalizeAddress } from '../utils/address.js';
+import { summarizeReviews } from '../utils/reviewSignals.js';
+import { recordApiCall } from '../utils/apiCost.js';
 
 export async function scrapeYelpApi(keyword, location, options) {
   // Support both input keys and environment variables (for Apify secrets)
@@ -11,6 +14,7 @@ export async function scrapeYelpApi(keyword, location, options) {
 
   const leads = [];
   const maxResults = options?.maxResultsPerLocation || 100;
+  const categoryAliases = options?.yelpCategories || [];
   
   log.info(`Searching Yelp Fusion API: ${keyword} in ${location}`);
 
@@ -20,8 +24,14 @@ export async function scrapeYelpApi(keyword, location, options) {
     let totalFetched = 0;
 
     while (totalFetched < maxResults) {
-      const url = `https://api.yelp.com/v3/businesses/search?term=${encodeURIComponent(keyword)}&location=${encodeURIComponent(location)}&limit=${limit}&offset=${offset}`;
+      // With category aliases the category does the filtering; the term would only narrow it further
+      const searchParam = categoryAliases.length > 0
+        ? `categories=${encodeURIComponent(categoryAliases.join(','))}`
+        : `term=${encodeURIComponent(keyword)}`;
+      const url = `https://api.yelp.com/v3/businesses/search?${searchParam}&location=${encodeURIComponent(location)}&limit=${limit}&offset=${offset}`;
       
+      await options?.rateLimiter?.acquire();
+      recordApiCall('yelp.search');
       const response = await fetch(url, {
         headers: {
           'Authorization': `Bearer ${apiKey}`,
@@ -43,8 +53,12 @@ export async function scrapeYelpApi(keyword, location, options) {
       for (const business of data.businesses) {
         if (totalFetched >= maxResults) break;
 
-        const businessDetails = await fetchBusinessDetails(business.id, apiKey);
-        const lead = convertBusinessToLead(business, businessDetails);
+        const businessDetails = await fetchBusinessDetails(business.id, apiKey, options?.rateLimiter);
+        // Opt-in: a third request per business against the daily quota
+        const reviews = options?.reviewSignals?.enabled
+          ? await fetchBusinessReviews(business.id, apiKey, options?.rateLimiter)
+          : [];
+        const lead = convertBusinessToLead(business, businessDetails, reviews);
         
         if (lead) {
           leads.push(lead);
@@ -70,8 +84,10 @@ export async function scrapeYelpApi(keyword, location, options) {
   }
 }
 
-async function fetchBusinessDetails(businessId, apiKey) {
+async function fetchBusinessDetails(businessId, apiKey, rateLimiter) {
   try {
+    await rateLimiter?.acquire();
+    recordApiCall('yelp.details');
     const url = `https://api.yelp.com/v3/businesses/${businessId}`;
     
     const response = await fetch(url, {
@@ -92,20 +108,46 @@ async function fetchBusinessDetails(businessId, apiKey) {
   }
 }
 
-function convertBusinessToLead(business, details) {
+// The 3 newest review excerpts; time_created is "YYYY-MM-DD HH:mm:ss" and owner replies are not exposed
+async function fetchBusinessReviews(businessId, apiKey, rateLimiter) {
+  try {
+    await rateLimiter?.acquire();
+    recordApiCall('yelp.reviews');
+    const url = `https://api.yelp.com/v3/businesses/${businessId}/reviews?limit=3&sort_by=newest`;
+
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json'
+      }
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      return (data.reviews || []).map(review => ({ date: review.time_created }));
+    }
+
+    return [];
+  } catch (error) {
+    log.warning(`Failed to fetch reviews for business ${businessId}:`, error.message);
+    return [];
+  }
+}
+
+function convertBusinessToLead(business, details, reviews = []) {
   try {
     const name = details?.name || business.name;
     if (!name) return null;
 
     const location = details?.location || business.location;
-    const address = {
-      street: location?.address1 || '',
+    const address = normalizeAddress({
+      street: [location?.address1, location?.address2].filter(Boolean).join(' '),
       city: location?.city || '',
       state: location?.state || '',
       postalCode: location?.zip_code || '',
       country: location?.country || 'US',
       formatted: location?.display_address?.join(', ') || ''
-    };
+    });
 
     const phone = details?.display_phone || business.display_phone || '';
     let phoneE164 = details?.phone || business.phone || '';
@@ -119,16 +161,27 @@ function convertBusinessToLead(business, details) {
       }
     }
 
-    const categories = (details?.categories || business.categories || []).map(c => c.title);
+    const yelpCategories = details?.categories || business.categories || [];
+    const categories = yelpCategories.map(c => c.title);
     const category = categories[0] || '';
 
+    const price = details?.price || business.price || '';
+    const isClosed = details?.is_closed ?? business.is_closed ?? false;
+    const isOpenNow = details?.hours?.[0]?.is_open_now;
+
     const lead = {
       dedupeId: '',
       confidence: 0.9,
       sources: {
         yelp: {
           url: details?.url || business.url || '',
-          bizId: business.id
+          bizId: business.id,
+          alias: details?.alias || business.alias || '',
+          price: price,
+          categories: yelpCategories.map(c => c.alias),
+          isClosed: isClosed,
+          rating: details?.rating || business.rating || 0,
+          reviewCount: details?.review_count || business.review_count || 0
         }
       },
       business: {
@@ -163,12 +216,15 @@ function convertBusinessToLead(business, details) {
         reviews: {
           rating: details?.rating || business.rating || 0,
           reviewCount: details?.review_count || business.review_count || 0,
-          lastReviewDate: ''
+          ...summarizeReviews(reviews)
         },
         hours: {
-          isOpen: !business.is_closed,
-          hoursText: ''
+          isOpen: !isClosed,
+          isOpenNow: isOpenNow ?? null,
+          hoursText: formatYelpHours(details?.hours?.[0]?.open)
         },
+        priceLevel: price.length,
+        isClosed: isClosed,
         websiteSignals: {},
         techSignals: {}
       },
@@ -187,3 +243,16 @@ function convertBusinessToLead(business, details) {
     return null;
   }
 }
+
+function formatYelpHours(openBlocks) {
+  if (!openBlocks || openBlocks.length === 0) {
+    return '';
+  }
+
+  const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const formatTime = (hhmm) => `${hhmm.slice(0, 2)}:${hhmm.slice(2)}`;
+
+  return openBlocks
+    .map(block => `${days[block.day] || block.day} ${formatTime(block.start)}-${formatTime(block.end)}`)
+    .join(', ');
+}
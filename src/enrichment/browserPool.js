@@ -0,0 +1,72 @@
+/**
+ * Shared browser pool for website enrichment
+ * Sites that block plain HTTP fetches are crawled in a headless browser. All of
+ * them share one crawlee BrowserPool instead of launching Chromium per lead:
+ * browsers start on the first blocked site, each holds a bounded number of
+ * open pages in one shared context, and a browser is retired (closed and
+ * replaced) after serving a fixed number of pages so leaks don't pile up.
+ */
+
+import { BrowserPool, PlaywrightPlugin, log } from 'crawlee';
+import { chromium } from 'playwright';
+
+const MAX_OPEN_PAGES_PER_BROWSER = 5;
+const RETIRE_BROWSER_AFTER_PAGES = 30;
+const CLOSE_INACTIVE_BROWSER_SECS = 60;
+
+export function createEnrichmentBrowserPool(options = {}) {
+  let pool = null;
+  let pagesOpened = 0;
+
+  // Nothing is launched until a site actually needs the browser
+  const getPool = () => {
+    if (!pool) {
+      pool = new BrowserPool({
+        browserPlugins: [
+          new PlaywrightPlugin(chromium, {
+            useIncognitoPages: false,
+            launchOptions: {
+              headless: true,
+              args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-blink-features=AutomationControlled'
+              ],
+              userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+              viewport: { width: 1920, height: 1080 }
+            }
+          })
+        ],
+        useFingerprints: false,
+        maxOpenPagesPerBrowser: options.maxOpenPagesPerBrowser || MAX_OPEN_PAGES_PER_BROWSER,
+        retireBrowserAfterPageCount: options.retireBrowserAfterPageCount || RETIRE_BROWSER_AFTER_PAGES,
+        closeInactiveBrowserAfterSecs: CLOSE_INACTIVE_BROWSER_SECS
+      });
+    }
+    return pool;
+  };
+
+  return {
+    get pagesOpened() {
+      return pagesOpened;
+    },
+
+    // The caller closes the page when the site is done; the pool recycles the browser
+    async newPage() {
+      const page = await getPool().newPage();
+      pagesOpened++;
+      return page;
+    },
+
+    async destroy() {
+      if (!pool) return;
+      try {
+        await pool.destroy();
+      } catch (error) {
+        log.warning('Failed to close enrichment browsers:', error.message);
+      }
+      pool = null;
+    }
+  };
+}
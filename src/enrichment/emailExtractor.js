@@ -17,6 +17,11 @@ export function extractEmails(htmlContent, domain) {
       continue;
     }
     
+    // Retina asset names like logo@2x.png look like addresses in raw HTML
+    if (/\.(png|jpe?g|gif|svg|webp)$/.test(cleanEmail)) {
+      continue;
+    }
+    
     if (cleanEmail.includes('example.com') || 
         cleanEmail.includes('test.com') ||
         cleanEmail.includes('placeholder')) {
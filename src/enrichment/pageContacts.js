@@ -0,0 +1,48 @@
+import { extractEmails } from './emailExtractor.js';
+import { extractPhones } from './phoneExtractor.js';
+import { extractSocials } from './socialExtractor.js';
+
+/**
+ * Run the extractors on each crawled page so every email and phone carries the
+ * `pageUrl` it was found on. A value seen on several pages keeps the page that
+ * gave it the highest confidence (e.g. a mailto link), ties going to the earlier
+ * page in crawl order. Socials stay { platform: url } with the page of each in
+ * socialPages.
+ */
+export function extractFromPages(pages, domain) {
+  const emails = new Map();
+  const phones = new Map();
+  const socials = {};
+  const socialPages = {};
+
+  for (const page of pages) {
+    for (const email of extractEmails(page.html, domain)) {
+      keepBest(emails, email.email, { ...email, pageUrl: page.url });
+    }
+
+    for (const phone of extractPhones(page.html)) {
+      keepBest(phones, phone.phoneE164, { ...phone, pageUrl: page.url });
+    }
+
+    for (const [platform, url] of Object.entries(extractSocials(page.html))) {
+      if (url && !socials[platform]) {
+        socials[platform] = url;
+        socialPages[platform] = page.url;
+      }
+    }
+  }
+
+  const byConfidence = (a, b) => b.confidence - a.confidence;
+  return {
+    emails: [...emails.values()].sort(byConfidence),
+    phones: [...phones.values()].sort(byConfidence),
+    socials: socials,
+    socialPages: socialPages
+  };
+}
+
+function keepBest(found, key, item) {
+  if (!found.has(key) || item.confidence > found.get(key).confidence) {
+    found.set(key, item);
+  }
+}
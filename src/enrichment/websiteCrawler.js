@@ -1,16 +1,26 @@
 import { log } from 'crawlee';
-import { PlaywrightCrawler } from 'crawlee';
-import { chromium } from 'playwright';
 import { simpleFetch } from './simpleFetch.js';
+import { createEnrichmentBrowserPool } from './browserPool.js';
 
-export async function crawlWebsite(websiteUrl, options) {
+// Pages most likely to list contacts are visited first; lower is earlier
+const PAGE_PRIORITIES = [
+  { pattern: /contact|get-in-touch|reach-us|request-a-quote|quote/i, priority: 1 },
+  { pattern: /about|our-story|who-we-are|company/i, priority: 2 },
+  { pattern: /team|staff|people|leadership|meet-|our-doctors|providers|attorneys/i, priority: 3 },
+  { pattern: /locations?|offices?|service-areas?|directions|find-us/i, priority: 4 }
+];
+const FOOTER_PRIORITY = 5;
+const DEFAULT_PRIORITY = 6;
+const SKIP_PATH = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|mp4|mp3|docx?|xlsx?)$|\/(wp-admin|wp-json|cart|checkout|login|account|feed|tag|author)(\/|$)/i;
+
+// browserPool: the run's shared pool (browserPool.js); without one a private pool is used for this site
+// homepageHtml: the homepage already fetched during discovery (custom URLs), used instead of fetching it again
+export async function crawlWebsite(websiteUrl, options, browserPool, homepageHtml) {
   if (!websiteUrl) {
     return { pages: [], metadata: {}, htmlContent: '' };
   }
 
   const maxPages = options?.enrichment?.maxWebsitePages || 10;
-  const crawledPages = [];
-  let allHtml = '';
   
   try {
     const startUrl = websiteUrl.startsWith('http') ? websiteUrl : `https://${websiteUrl}`;
@@ -20,7 +30,9 @@ export async function crawlWebsite(websiteUrl, options) {
     
     // HYBRID APPROACH: Try simple fetch first (fast), fallback to Playwright if it fails
     log.debug(`Trying simple fetch for ${domain}`);
-    const simpleResult = await simpleFetch(startUrl, 10000);
+    const simpleResult = homepageHtml
+      ? { success: true, html: homepageHtml }
+      : await simpleFetch(startUrl, 10000);
     
     // Check if simple fetch succeeded with good content
     if (simpleResult.success && simpleResult.html && simpleResult.html.length > 1000) {
@@ -33,14 +45,14 @@ export async function crawlWebsite(websiteUrl, options) {
       
       if (!isBlocked) {
         log.info(`Simple fetch succeeded for ${domain}`);
-        crawledPages.push({
-          url: startUrl,
-          title: extractTitle(simpleResult.html),
-          html: simpleResult.html
+        // The homepage is already fetched; inner pages that fail are skipped, not retried in a browser
+        const crawledPages = await crawlPages(startUrl, maxPages, async (url) => {
+          if (url === startUrl) return simpleResult.html;
+          const result = await simpleFetch(url, 10000);
+          return result.success ? result.html : null;
         });
-        allHtml = simpleResult.text;
         
-        return buildCrawlResult(crawledPages, allHtml, domain);
+        return buildCrawlResult(crawledPages, domain);
       } else {
         log.info(`Simple fetch blocked for ${domain}, trying Playwright`);
       }
@@ -50,7 +62,16 @@ export async function crawlWebsite(websiteUrl, options) {
     
     // Fallback to Playwright if simple fetch failed or was blocked
     log.info(`Using Playwright for ${domain}`);
-    return await crawlWithPlaywright(startUrl, domain, maxPages, options);
+    if (browserPool) {
+      return await crawlWithPlaywright(startUrl, domain, maxPages, browserPool);
+    }
+    
+    const ownPool = createEnrichmentBrowserPool();
+    try {
+      return await crawlWithPlaywright(startUrl, domain, maxPages, ownPool);
+    } finally {
+      await ownPool.destroy();
+    }
     
   } catch (error) {
     log.error(`Website crawl failed for ${websiteUrl}:`, error.message);
@@ -58,61 +79,39 @@ export async function crawlWebsite(websiteUrl, options) {
   }
 }
 
-// Crawl using Playwright (bot detection bypass with headless browser)
-async function crawlWithPlaywright(startUrl, domain, maxPages, options) {
-  const crawledPages = [];
-  let allHtml = '';
-  
+// Crawl using Playwright (bot detection bypass with headless browser), one pooled page per site
+async function crawlWithPlaywright(startUrl, domain, maxPages, browserPool) {
   try {
-    const browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-blink-features=AutomationControlled'
-      ]
-    });
-    
-    const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      viewport: { width: 1920, height: 1080 }
-    });
-    
-    const page = await context.newPage();
+    const page = await browserPool.newPage();
+    let crawledPages = [];
     
     try {
-      // Navigate with timeout
-      await page.goto(startUrl, { 
-        waitUntil: 'domcontentloaded',
-        timeout: 15000 
+      crawledPages = await crawlPages(startUrl, maxPages, async (url) => {
+        try {
+          await page.goto(url, { 
+            waitUntil: 'domcontentloaded',
+            timeout: 15000 
+          });
+          
+          // Wait a bit for dynamic content
+          await page.waitForTimeout(2000);
+          
+          return await page.content();
+        } catch (pageError) {
+          log.warning(`Playwright page error for ${url}:`, pageError.message);
+          return null;
+        }
       });
       
-      // Wait a bit for dynamic content
-      await page.waitForTimeout(2000);
-      
-      // Get page content
-      const html = await page.content();
-      const title = await page.title();
-      
-      crawledPages.push({
-        url: startUrl,
-        title: title,
-        html: html
-      });
-      
-      allHtml = html;
-      
-      log.info(`Playwright successfully crawled ${domain}`);
-      
-    } catch (pageError) {
-      log.warning(`Playwright page error for ${domain}:`, pageError.message);
+      if (crawledPages.length > 0) {
+        log.info(`Playwright successfully crawled ${domain}`);
+      }
     } finally {
-      await browser.close();
+      await page.close().catch(() => {});
     }
     
     if (crawledPages.length > 0) {
-      return buildCrawlResult(crawledPages, allHtml, domain);
+      return buildCrawlResult(crawledPages, domain);
     } else {
       return { pages: [], metadata: {}, htmlContent: '' };
     }
@@ -123,6 +122,84 @@ async function crawlWithPlaywright(startUrl, domain, maxPages, options) {
   }
 }
 
+/**
+ * Same-site crawl of up to maxPages pages, best priority first (contact, about,
+ * team, locations, footer links, the rest), each URL once. fetchHtml returns the
+ * page's HTML or null when it failed; failed pages don't count towards maxPages.
+ */
+async function crawlPages(startUrl, maxPages, fetchHtml) {
+  const host = siteHost(startUrl);
+  const queue = new Map([[pageKey(startUrl), { url: startUrl, priority: 0, order: 0 }]]);
+  const visited = new Set();
+  const pages = [];
+  let order = 1;
+  let attempts = 0;
+
+  while (queue.size > 0 && pages.length < maxPages && attempts < maxPages * 2) {
+    const [key, next] = [...queue.entries()]
+      .sort(([, a], [, b]) => a.priority - b.priority || a.order - b.order)[0];
+    queue.delete(key);
+    visited.add(key);
+    attempts++;
+
+    const html = await fetchHtml(next.url);
+    if (!html) continue;
+
+    pages.push({ url: next.url, title: extractTitle(html), html: html });
+
+    for (const link of extractLinks(html, next.url, host)) {
+      const linkKey = pageKey(link.url);
+      const queued = queue.get(linkKey);
+      if (visited.has(linkKey)) continue;
+      if (!queued) {
+        queue.set(linkKey, { url: link.url, priority: link.priority, order: order++ });
+      } else if (link.priority < queued.priority) {
+        queued.priority = link.priority;
+      }
+    }
+  }
+
+  return pages;
+}
+
+// Same-site <a href> links with their crawl priority
+function extractLinks(html, pageUrl, host) {
+  const footer = (html.match(/<footer[\s\S]*?<\/footer>/gi) || []).join(' ');
+  const links = [];
+
+  for (const match of html.matchAll(/<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    const href = match[1].trim();
+    if (/^(mailto|tel|javascript|data):/i.test(href) || href.startsWith('#')) continue;
+
+    let url;
+    try {
+      url = new URL(href, pageUrl);
+    } catch (e) {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || siteHost(url.href) !== host || SKIP_PATH.test(url.pathname)) continue;
+
+    url.hash = '';
+    const text = match[2].replace(/<[^>]*>/g, ' ');
+    const matched = PAGE_PRIORITIES.find(({ pattern }) => pattern.test(url.pathname) || pattern.test(text));
+    const priority = matched ? matched.priority : footer.includes(match[0]) ? FOOTER_PRIORITY : DEFAULT_PRIORITY;
+
+    links.push({ url: url.href, priority });
+  }
+
+  return links;
+}
+
+function siteHost(url) {
+  return new URL(url).host.toLowerCase().replace(/^www\./, '');
+}
+
+// http/https, www and a trailing slash don't make a different page
+function pageKey(url) {
+  const parsed = new URL(url);
+  return `${siteHost(url)}${parsed.pathname.replace(/\/+$/, '') || '/'}${parsed.search}`;
+}
+
 // Extract title from HTML
 function extractTitle(html) {
   const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
@@ -130,7 +207,8 @@ function extractTitle(html) {
 }
 
 // Build crawl result with metadata
-function buildCrawlResult(crawledPages, allHtml, domain) {
+function buildCrawlResult(crawledPages, domain) {
+  const allHtml = crawledPages.map(page => page.html).join('\n');
   const hasContactForm = allHtml.toLowerCase().includes('contact') && 
                         (allHtml.toLowerCase().includes('form') || 
                          allHtml.toLowerCase().includes('submit'));
@@ -143,6 +221,9 @@ function buildCrawlResult(crawledPages, allHtml, domain) {
                        allHtml.toLowerCase().includes('intercom') ||
                        allHtml.toLowerCase().includes('drift');
   
+  // First page with a form that mentions contact, usually /contact
+  const contactFormPage = crawledPages.find(page => /<form\b/i.test(page.html) && /contact/i.test(page.url + page.title));
+  
   log.info(`Crawled ${crawledPages.length} page(s) from ${domain}`);
   
   return {
@@ -151,7 +232,8 @@ function buildCrawlResult(crawledPages, allHtml, domain) {
       pageCount: crawledPages.length,
       hasContactForm,
       hasBookingWidget,
-      hasChatWidget
+      hasChatWidget,
+      contactFormUrl: contactFormPage?.url || ''
     },
     htmlContent: allHtml
   };
@@ -1,18 +1,25 @@
 import { Actor } from 'apify';
-import { log } from 'crawlee';
-import { scrapeGoogleMaps } from './discovery/googleMaps.js';
-import { scrapeBBB } from './discovery/bbb.js';
-import { scrapeSERP } from './discovery/serp.js';
-import { scrapeGoogleMapsApi } from './discovery/googleMapsApi.js';
+import { AutoscaledPool, log } from 'crawlee';
+import { scrapeCustomUrls, takeCustomUrlHomepage } from './discovery/customUrls.js';
+import { loadSourceModules, selectSources, createSourceStats } from './discovery/registry.js';
+import { buildDiscoveryTasks, createSourceLimiters, runDiscovery } from './discovery/scheduler.js';
+import { loadDailyUsage, saveDailyUsage } from './utils/rateLimiter.js';
+import { getApiCostEstimate } from './utils/apiCost.js';
+import { openCheckpoint } from './utils/checkpoint.js';
+import { loadTaxonomy, resolveCategorySeeds, keywordSeeds, assignCategoryId } from './utils/categoryTaxonomy.js';
 import { generateDedupeId } from './utils/dedupeId.js';
+import { deduplicateLeads } from './processing/dedupe.js';
 import { mergeLeads } from './processing/merge.js';
-import { scoreLead } from './processing/scoring.js';
+import { detectFranchises, isFranchise } from './processing/franchise.js';
+import { hasLeadFilters, passesLeadFilters, createExpressionFilter } from './processing/filters.js';
+import { scoreLead, hasTrainingLabels, SCORING_PRESETS } from './processing/scoring.js';
+import { loadLearnedPresets, trainScoringPreset } from './processing/weightTraining.js';
 import { applyDeltaMode } from './utils/deltaMode.js';
+import { openIdentityGraph } from './utils/identityGraph.js';
 import { validateInput } from './utils/validation.js';
 import { crawlWebsite } from './enrichment/websiteCrawler.js';
-import { extractEmails } from './enrichment/emailExtractor.js';
-import { extractPhones } from './enrichment/phoneExtractor.js';
-import { extractSocials } from './enrichment/socialExtractor.js';
+import { createEnrichmentBrowserPool } from './enrichment/browserPool.js';
+import { extractFromPages } from './enrichment/pageContacts.js';
 import { detectTechSignals } from './enrichment/techSignals.js';
 import { generateOutreach } from './ai/outreachDrafts.js';
 
@@ -24,24 +31,54 @@ try {
   const input = await Actor.getInput();
   log.info('LeadGraph™ Actor started', { 
     keywords: input.keywords,
+    categories: input.categories,
     locations: input.locations,
     sources: input.sources 
   });
 
-  validateInput(input);
+  // Learned presets live in a named store; only read it when a non-built-in preset is asked for
+  const weightsPreset = input.scoring?.weightsPreset || 'localService';
+  const learnedPresets = SCORING_PRESETS[weightsPreset] || weightsPreset === 'custom'
+    ? {}
+    : await loadLearnedPresets(input.scoring?.training?.storeName);
+
+  validateInput(input, { learnedPresets });
+  const expressionFilter = createExpressionFilter(input.filters);
 
   const rawLeads = [];
   const keywords = input.keywords || [];
-  const locations = input.locations || [];
+  const radiusMode = input.geoMode === 'radius';
+  // Radius mode searches one circle; sources that only take location text are skipped (selectSources)
+  const locations = radiusMode
+    ? [`${input.centerLat},${input.centerLng}`]
+    : input.locations || [];
   const sources = input.sources || ['googleMaps'];
+  const taxonomy = loadTaxonomy(input.categoryTaxonomy);
+  const seeds = input.seedType === 'category'
+    ? resolveCategorySeeds(input.categories, taxonomy)
+    : keywordSeeds(keywords);
 
   log.info('Starting discovery phase', { 
-    keywordCount: keywords.length, 
+    seedCount: seeds.length, 
     locationCount: locations.length,
     sources: sources 
   });
 
   const useApis = input.useApis || false;
+  const sourceContext = { input, useApis, radiusMode };
+
+  // Adapters from sourceModules run in addition to the selected built-in sources
+  const moduleSourceIds = await loadSourceModules(input.sourceModules);
+  const activeSources = selectSources([...new Set([...sources, ...moduleSourceIds])], sourceContext);
+  const sourceStats = createSourceStats(activeSources);
+
+  // Resumes a migrated / restarted run from its last saved unit of work
+  const checkpoint = await openCheckpoint(input);
+  checkpoint.attachStats(sourceStats);
+
+  if (radiusMode) {
+    log.info(`Radius mode: ${input.radiusMiles || 10} mi around ${input.centerLat},${input.centerLng}`);
+  }
   
   if (useApis) {
     log.info('Using API mode (faster, more reliable)');
@@ -49,124 +86,140 @@ try {
     log.info('Using web scraping mode (free, slower)');
   }
 
-  for (const location of locations) {
-    for (const keyword of keywords) {
-      log.info(`Processing: ${keyword} in ${location}`);
-
-      if (sources.includes('googleMaps')) {
-        try {
-          const gmLeads = useApis 
-            ? await scrapeGoogleMapsApi(keyword, location, input)
-            : await scrapeGoogleMaps(keyword, location, input);
-          rawLeads.push(...gmLeads);
-          log.info(`Google Maps: ${gmLeads.length} leads found`);
-        } catch (error) {
-          log.error('Google Maps scraping failed', { error: error.message });
-        }
-      }
-
-      if (sources.includes('bbb')) {
-        try {
-          const bbbLeads = await scrapeBBB(keyword, location, input);
-          rawLeads.push(...bbbLeads);
-          log.info(`BBB: ${bbbLeads.length} leads found`);
-        } catch (error) {
-          log.error('BBB scraping failed', { error: error.message });
-        }
-      }
+  if (checkpoint.leads) {
+    log.info(`Discovery already finished, ${checkpoint.leads.length} leads restored from checkpoint`);
+  } else if (input.seedType === 'customUrls') {
+    rawLeads.push(...await scrapeCustomUrls(input.customUrls, input));
+  } else {
+    const tasks = buildDiscoveryTasks(locations, seeds, activeSources);
+    const limiters = createSourceLimiters(activeSources, sourceContext, await loadDailyUsage());
+    const concurrency = input.runMode?.maxConcurrency || 10;
+
+    log.info(`Running ${tasks.length} discovery tasks with concurrency ${concurrency}`);
+
+    const discovered = await runDiscovery(tasks, {
+      ctx: sourceContext,
+      stats: sourceStats,
+      limiters,
+      concurrency,
+      maxTotal: input.maxTotalResults || 500,
+      checkpoint
+    });
+    rawLeads.push(...discovered);
 
-      if (sources.includes('serp')) {
-        try {
-          const serpLeads = await scrapeSERP(keyword, location, input);
-          rawLeads.push(...serpLeads);
-          log.info(`SERP: ${serpLeads.length} leads found`);
-        } catch (error) {
-          log.error('SERP scraping failed', { error: error.message });
-        }
-      }
+    await saveDailyUsage(limiters);
+  }
 
-      if (rawLeads.length >= (input.maxTotalResults || 500)) {
-        log.info('Max total results reached, stopping discovery');
-        break;
-      }
-    }
+  log.info(`Discovery complete: ${rawLeads.length} raw leads collected`);
 
-    if (rawLeads.length >= (input.maxTotalResults || 500)) {
-      break;
-    }
+  const apiCost = getApiCostEstimate();
+  if (apiCost.totalUsd > 0) {
+    log.info(`Estimated API cost so far: $${apiCost.totalUsd.toFixed(2)}`, apiCost.calls);
   }
 
-  log.info(`Discovery complete: ${rawLeads.length} raw leads collected`);
+  rawLeads.forEach(lead => assignCategoryId(lead, taxonomy));
 
-  if (rawLeads.length === 0) {
+  if (checkpoint.phase === 'done') {
+    log.info('Checkpoint shows this run already pushed its output, nothing left to do');
+  } else if (!checkpoint.leads && rawLeads.length === 0) {
     log.warning('No leads found. Check your search criteria.');
     await Actor.setValue('RUN_SUMMARY', {
       totalFound: 0,
       totalAfterDedupe: 0,
       enrichedCount: 0,
       aiCount: 0,
-      errors: ['No leads found'],
+      errors: ['No leads found', ...sourceErrors(sourceStats)],
       sourceCoverage: {},
+      sourceStats: sourceStats,
+      apiCost: apiCost,
       runTimeMs: Date.now() - startTime
     });
   } else {
+    await processLeads({ input, rawLeads, checkpoint, sourceStats, expressionFilter, learnedPresets, weightsPreset, startTime });
+  }
 
-  log.info('Starting deduplication phase');
-  rawLeads.forEach(lead => {
-    lead.dedupeId = generateDedupeId(lead.business);
-  });
+} catch (error) {
+  log.error('Actor failed', { error: error.message, stack: error.stack });
+  throw error;
+} finally {
+  await Actor.exit();
+}
 
-  const mergedLeads = input.dedupe?.enabled !== false 
-    ? mergeLeads(rawLeads) 
-    : rawLeads;
+// Dedupe, filters, enrichment, scoring, AI and output; every phase skips the work a restored checkpoint already holds
+async function processLeads({ input, rawLeads, checkpoint, sourceStats, expressionFilter, learnedPresets, weightsPreset, startTime }) {
+  let mergedLeads = checkpoint.leads;
 
-  log.info(`After dedupe: ${mergedLeads.length} unique leads (${rawLeads.length - mergedLeads.length} duplicates removed)`);
+  if (!mergedLeads) {
+    log.info('Starting deduplication phase');
+    rawLeads.forEach(lead => {
+      lead.dedupeId = generateDedupeId(lead.business);
+    });
 
-  if (input.filters?.minRating || input.filters?.minReviews || input.filters?.requireWebsite) {
-    log.info('Applying filters');
-    const beforeFilter = mergedLeads.length;
-    
-    const filtered = mergedLeads.filter(lead => {
-      if (input.filters.minRating && (lead.signals?.reviews?.rating || 0) < input.filters.minRating) {
-        return false;
-      }
-      if (input.filters.minReviews && (lead.signals?.reviews?.reviewCount || 0) < input.filters.minReviews) {
-        return false;
-      }
-      if (input.filters.requireWebsite && !lead.online?.website) {
-        return false;
-      }
-      return true;
+    if (input.dedupe?.enabled !== false) {
+      deduplicateLeads(rawLeads, input.dedupe?.strategy || 'balanced');
+    }
+
+    // Before merging, so branches dedupe folded together still count as locations
+    detectFranchises(rawLeads, {
+      brands: input.filters?.franchiseBrands,
+      minLocations: input.filters?.franchiseMinLocations
     });
+
+    mergedLeads = input.dedupe?.enabled !== false 
+      ? mergeLeads(rawLeads, input.dedupe?.mergePolicy) 
+      : rawLeads;
+
+    log.info(`After dedupe: ${mergedLeads.length} unique leads (${rawLeads.length - mergedLeads.length} duplicates removed)`);
+    log.info(`Franchise detection: ${mergedLeads.filter(isFranchise).length} chain locations flagged`);
+
+    if (hasLeadFilters(input.filters)) {
+      log.info('Applying filters');
+      const beforeFilter = mergedLeads.length;
+    
+      const filtered = mergedLeads.filter(lead => passesLeadFilters(lead, input.filters));
     
-    log.info(`Filters applied: ${beforeFilter} → ${filtered.length} leads`);
-    mergedLeads.length = 0;
-    mergedLeads.push(...filtered);
+      log.info(`Filters applied: ${beforeFilter} → ${filtered.length} leads`);
+      mergedLeads.length = 0;
+      mergedLeads.push(...filtered);
+    }
+
+    mergedLeads = applyExpressionFilter(mergedLeads, expressionFilter, 'preEnrichment');
+
+    await checkpoint.startProcessing(mergedLeads, {
+      totalFound: rawLeads.length,
+      sourceCoverage: countSourceCoverage(rawLeads)
+    });
   }
 
   if (input.enrichment?.crawlWebsite) {
     log.info('Starting enrichment phase');
     let enrichedCount = 0;
     
-    // PARALLEL ENRICHMENT: Process 2 leads at a time (reduced from 5 to avoid OOM)
-    const leadsToEnrich = mergedLeads.filter(lead => lead.online?.website);
-    const batchSize = 2;
+    // Leads enriched before a restart are skipped
+    const leadsToEnrich = mergedLeads
+      .map((lead, index) => ({ lead, index }))
+      .filter(({ lead, index }) => lead.online?.website && !checkpoint.isEnriched(index));
     
-    for (let i = 0; i < leadsToEnrich.length; i += batchSize) {
-      const batch = leadsToEnrich.slice(i, i + batchSize);
-      log.info(`Enriching batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(leadsToEnrich.length / batchSize)} (${batch.length} leads in parallel)`);
-      
-      // Process batch in parallel
-      await Promise.all(batch.map(async (lead) => {
+    // Sites run concurrently up to runMode.maxConcurrency; the autoscaled pool backs off when
+    // memory or CPU runs short, and blocked sites share one browser pool
+    const browserPool = createEnrichmentBrowserPool();
+    let nextLead = 0;
+    const enrichmentPool = new AutoscaledPool({
+      minConcurrency: 1,
+      desiredConcurrency: Math.min(2, input.runMode?.maxConcurrency || 10),
+      maxConcurrency: input.runMode?.maxConcurrency || 10,
+      isTaskReadyFunction: async () => nextLead < leadsToEnrich.length,
+      isFinishedFunction: async () => nextLead >= leadsToEnrich.length,
+      runTaskFunction: async () => {
+        const { lead, index } = leadsToEnrich[nextLead++];
         try {
-          log.info(`Enriching: ${lead.business.name}`);
+          log.info(`Enriching (${nextLead}/${leadsToEnrich.length}): ${lead.business.name}`);
           
-          const crawlResult = await crawlWebsite(lead.online.website, input);
+          const crawlResult = await crawlWebsite(lead.online.website, input, browserPool, takeCustomUrlHomepage(lead.online.website));
           
           if (crawlResult.htmlContent) {
-            const emails = extractEmails(crawlResult.htmlContent, lead.online.domain);
-            const phones = extractPhones(crawlResult.htmlContent);
-            const socials = extractSocials(crawlResult.htmlContent);
+            // Per page, so each contact records the page it was found on
+            const { emails, phones, socials, socialPages } = extractFromPages(crawlResult.pages, lead.online.domain);
             const techSignals = detectTechSignals(crawlResult.htmlContent);
             
             if (emails.length > 0) {
@@ -178,12 +231,18 @@ try {
             }
             
             lead.online.socials = socials;
+            lead.online.socialPages = socialPages;
+            
+            if (crawlResult.metadata.contactFormUrl) {
+              lead.contacts.contactFormUrl = crawlResult.metadata.contactFormUrl;
+            }
             
             lead.signals.websiteSignals = {
               hasHttps: lead.online.website.startsWith('https'),
               hasContactForm: crawlResult.metadata.hasContactForm || false,
               hasBookingWidget: crawlResult.metadata.hasBookingWidget || false,
-              hasChatWidget: crawlResult.metadata.hasChatWidget || false
+              hasChatWidget: crawlResult.metadata.hasChatWidget || false,
+              pagesCrawled: crawlResult.metadata.pageCount || 0
             };
             
             lead.signals.techSignals = techSignals;
@@ -194,32 +253,64 @@ try {
           }
         } catch (error) {
           log.warning(`Enrichment failed for ${lead.business.name}:`, error.message);
+        } finally {
+          checkpoint.markEnriched(index);
         }
-      }));
-      
-      // Small delay between batches to avoid overwhelming the system
-      if (i + batchSize < leadsToEnrich.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
       }
+    });
+    
+    try {
+      await enrichmentPool.run();
+    } finally {
+      await browserPool.destroy();
     }
     
+    if (browserPool.pagesOpened > 0) {
+      log.info(`${browserPool.pagesOpened} blocked site(s) crawled in the shared browser pool`);
+    }
     log.info(`Enrichment complete: ${enrichedCount}/${leadsToEnrich.length} leads enriched`);
   }
 
+  const identityGraph = input.identity?.enabled !== false ? await openIdentityGraph(input.identity) : null;
+
+  // Trained on every enriched lead, before the expression filters narrow the list,
+  // so the features match what scoring sees and labeled leads aren't filtered away
+  if (hasTrainingLabels(input.scoring?.training)) {
+    const trained = await trainScoringPreset(mergedLeads, input.scoring.training, identityGraph && (lead => identityGraph.lookup(lead)));
+    if (trained) {
+      learnedPresets[trained.name] = trained;
+      await Actor.setValue('SCORING_TRAINING', trained);
+    }
+  }
+
+  // Later stages filter a copy: enrichment / AI progress in the checkpoint is indexed
+  // by position, and a resumed run re-applies the same filter to get the same list
+  mergedLeads = applyExpressionFilter(mergedLeads, expressionFilter, 'postEnrichment');
+
   if (input.scoring?.enabled !== false) {
     log.info('Starting scoring phase');
+    let scoringPreset = weightsPreset;
+    if (!SCORING_PRESETS[weightsPreset] && weightsPreset !== 'custom' && !learnedPresets[weightsPreset]) {
+      log.warning(`Learned preset "${weightsPreset}" is not available; scoring with localService`);
+      scoringPreset = 'localService';
+    }
     for (const lead of mergedLeads) {
-      lead.score = scoreLead(lead, input.scoring?.weightsPreset || 'localService');
+      lead.score = scoreLead(lead, scoringPreset, input.scoring?.customWeights, learnedPresets);
     }
     log.info('Scoring complete');
   }
 
+  mergedLeads = applyExpressionFilter(mergedLeads, expressionFilter, 'postScoring');
+
   if (input.ai?.enabled) {
     log.info('Starting AI outreach generation');
+    checkpoint.setPhase('ai');
     let aiCount = 0;
     
     for (let i = 0; i < mergedLeads.length; i++) {
       const lead = mergedLeads[i];
+      if (checkpoint.isAiDone(i)) continue;
+
       try {
         const outreach = await generateOutreach(lead, input);
         
@@ -239,12 +330,20 @@ try {
         }
       } catch (error) {
         log.warning(`AI generation failed for ${lead.business.name}:`, error.message);
+      } finally {
+        checkpoint.markAiDone(i);
       }
     }
     
     log.info(`AI outreach complete: ${aiCount}/${mergedLeads.length} leads with AI content`);
   }
 
+  // Resolved last so identifiers found by enrichment are linked to the entity too
+  if (identityGraph) {
+    identityGraph.resolveAll(mergedLeads);
+    await identityGraph.save();
+  }
+
   let finalLeads = mergedLeads;
 
   if (input.exports?.deltaMode) {
@@ -264,13 +363,6 @@ try {
   log.info(`Saving ${cleanedLeads.length} leads to dataset (cleaned format)`);
   await Actor.pushData(cleanedLeads);
 
-  const sourceCoverage = {};
-  for (const lead of rawLeads) {
-    for (const source in lead.sources) {
-      sourceCoverage[source] = (sourceCoverage[source] || 0) + 1;
-    }
-  }
-
   const enrichedCount = mergedLeads.filter(lead => 
     lead.contacts?.emails?.length > 0 || 
     lead.online?.socials && Object.values(lead.online.socials).some(s => s)
@@ -281,29 +373,49 @@ try {
   ).length;
 
   const summary = {
-    totalFound: rawLeads.length,
+    totalFound: checkpoint.totals.totalFound,
     totalAfterDedupe: mergedLeads.length,
     enrichedCount: enrichedCount,
     aiCount: aiCount,
     created: finalLeads.length,
     updated: 0,
     skipped: mergedLeads.length - finalLeads.length,
-    errors: [],
-    sourceCoverage: sourceCoverage,
+    errors: sourceErrors(sourceStats),
+    sourceCoverage: checkpoint.totals.sourceCoverage,
+    sourceStats: sourceStats,
+    apiCost: getApiCostEstimate(),
     runTimeMs: Date.now() - startTime
   };
 
   await Actor.setValue('RUN_SUMMARY', summary);
+  await checkpoint.finish();
 
   log.info('LeadGraph™ Actor finished successfully', {
     totalLeads: finalLeads.length,
     runtime: `${Math.round(summary.runTimeMs / 1000)}s`
   });
-  }
+}
 
-} catch (error) {
-  log.error('Actor failed', { error: error.message, stack: error.stack });
-  throw error;
-} finally {
-  await Actor.exit();
+function sourceErrors(sourceStats) {
+  return Object.values(sourceStats)
+    .filter(stats => stats.errors > 0)
+    .map(stats => `${stats.name}: ${stats.errors} failed queries (last: ${stats.lastError})`);
+}
+
+function applyExpressionFilter(leads, expressionFilter, stage) {
+  if (!expressionFilter || expressionFilter.stage !== stage) return leads;
+
+  const filtered = leads.filter(expressionFilter.test);
+  log.info(`Filter expression (${stage}): ${leads.length} → ${filtered.length} leads`);
+  return filtered;
+}
+
+function countSourceCoverage(leads) {
+  const sourceCoverage = {};
+  for (const lead of leads) {
+    for (const source in lead.sources) {
+      sourceCoverage[source] = (sourceCoverage[source] || 0) + 1;
+    }
+  }
+  return sourceCoverage;
 }
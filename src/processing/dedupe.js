@@ -1,3 +1,350 @@
+import { haversineMiles, geohash, geohashPrecisionFor, geohashNeighborhood } from '../utils/geo.js';
+import { normalizeAddress } from '../utils/address.js';
+
+/**
+ * Match thresholds per dedupe.strategy. Two leads match when:
+ *   - they already share a dedupeId, or
+ *   - phone AND domain agree, or
+ *   - phone OR domain agrees, the names are at least keyNameSimilarity alike and
+ *     the leads are at the same location, or
+ *   - the names are at least nameOnlySimilarity alike and the leads are at the same location
+ * Same location: within maxDistanceMiles, or street addresses at least addressSimilarity
+ * alike in the same city / ZIP. Branches of a chain share a domain and often a name,
+ * so neither proves anything without the location. Two leads with different phones
+ * never match (except by dedupeId).
+ */
+const STRATEGIES = {
+  strict: {
+    keyNameSimilarity: 0.85,
+    nameOnlySimilarity: 0.95,
+    maxDistanceMiles: 0.05,
+    addressSimilarity: 0.95
+  },
+  balanced: {
+    keyNameSimilarity: 0.6,
+    nameOnlySimilarity: 0.85,
+    maxDistanceMiles: 0.25,
+    addressSimilarity: 0.8
+  },
+  aggressive: {
+    keyNameSimilarity: 0,
+    nameOnlySimilarity: 0.75,
+    maxDistanceMiles: 1,
+    addressSimilarity: 0.6
+  }
+};
+
+// Hosts shared by many unrelated businesses, so an equal domain proves nothing
+const SHARED_DOMAINS = new Set([
+  'facebook.com', 'instagram.com', 'linkedin.com', 'yelp.com', 'google.com',
+  'business.site', 'sites.google.com', 'wixsite.com', 'godaddysites.com',
+  'squarespace.com', 'linktr.ee', 'bbb.org', 'angi.com', 'houzz.com', 'nextdoor.com',
+  'myshopify.com', 'weebly.com', 'wordpress.com', 'blogspot.com', 'square.site', 'webflow.io'
+]);
+
+// Public suffixes with two labels, so shop.acme.co.uk reduces to acme.co.uk
+const TWO_LABEL_SUFFIXES = new Set(['co.uk', 'org.uk', 'com.au', 'net.au', 'co.nz', 'com.br', 'com.mx', 'co.za', 'co.jp', 'co.in']);
+
+const LEGAL_SUFFIXES = /\b(llc|inc|incorporated|co|corp|corporation|company|ltd|pllc|pc)\b/g;
+
+// Each lead is compared with at most this many earlier leads per blocking key, so a
+// key shared by thousands of leads (a call-center phone, a downtown cell) stays cheap
+const MAX_BLOCK_CANDIDATES = 50;
+
+// Name tokens found in more than this share of leads are too common to block on
+const COMMON_TOKEN_SHARE = 0.01;
+
+/**
+ * Resolve leads that describe the same business. Leads are only compared with
+ * earlier leads sharing a blocking key (phone, registrable domain, street,
+ * geohash neighborhood or a distinctive name token), and matches are joined with
+ * union-find, strongest first, so A~B and B~C put all three in one cluster. Every lead in a
+ * cluster gets the dedupeId of its first lead (so mergeLeads groups them), and
+ * every lead that joined one records its best match in `matchEvidence`.
+ */
 export function deduplicateLeads(leads, strategy = 'balanced') {
+  const thresholds = STRATEGIES[strategy] || STRATEGIES.balanced;
+  const features = leads.map(lead => extractFeatures(lead));
+  const tokenCounts = countNameTokens(features);
+  const commonCount = Math.max(MAX_BLOCK_CANDIDATES, leads.length * COMMON_TOKEN_SHARE);
+  const geoBlocking = { miles: thresholds.maxDistanceMiles, precision: geohashPrecisionFor(thresholds.maxDistanceMiles) };
+  const blocks = new Map();
+  const parent = features.map((_, index) => index);
+
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  // Phones per cluster root: a chain of pairwise matches must not join two clusters
+  // that each have a phone and share none, or A~B~C would merge two branches through B
+  const clusterPhones = features.map(feature => new Set(feature.phone ? [feature.phone] : []));
+
+  // The lower index becomes the root, so a cluster keeps its first lead's dedupeId
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return true;
+
+    const phonesA = clusterPhones[rootA];
+    const phonesB = clusterPhones[rootB];
+    if (phonesA.size > 0 && phonesB.size > 0 && ![...phonesA].some(phone => phonesB.has(phone))) {
+      return false;
+    }
+
+    const [root, child] = rootA < rootB ? [rootA, rootB] : [rootB, rootA];
+    parent[child] = root;
+    clusterPhones[child].forEach(phone => clusterPhones[root].add(phone));
+    return true;
+  };
+
+  // Every matching pair is scored before any is joined
+  const matches = [];
+  features.forEach((current, index) => {
+    const keys = blockingKeys(current, tokenCounts, commonCount, geoBlocking);
+    const candidates = new Set();
+
+    for (const key of keys.lookup) {
+      for (const candidate of blocks.get(key) || []) candidates.add(candidate);
+    }
+
+    for (const candidate of candidates) {
+      const evidence = compareLeads(current, features[candidate], thresholds);
+      if (evidence) matches.push({ index, candidate, evidence });
+    }
+
+    for (const key of keys.index) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      const block = blocks.get(key);
+      block.push(index);
+      if (block.length > MAX_BLOCK_CANDIDATES) block.shift();
+    }
+  });
+
+  // Strongest matches are joined first, so a weak match (more of them under looser
+  // strategies) can't pull a phone into a cluster that then blocks a real duplicate
+  // through the phone guard. Each lead records the strongest match it joined on.
+  matches.sort((a, b) => b.evidence.score - a.evidence.score);
+  const best = new Map();
+  for (const match of matches) {
+    if (union(match.index, match.candidate) && !best.has(match.index)) {
+      best.set(match.index, match);
+    }
+  }
+
+  for (const [index, match] of best) {
+    features[index].lead.matchEvidence = [{
+      lead: describeLead(features[index].lead),
+      matchedTo: describeLead(features[match.candidate].lead),
+      strategy: strategy,
+      ...match.evidence
+    }];
+  }
+
+  features.forEach((current, index) => {
+    current.lead.dedupeId = features[find(index)].dedupeId;
+  });
+
   return leads;
 }
+
+/**
+ * Keys a lead is filed under (`index`) and keys whose earlier leads it is compared
+ * with (`lookup`). They differ only for geo: a lead is filed under its own geohash
+ * cell and looks in every cell within maxDistanceMiles.
+ */
+function blockingKeys(features, tokenCounts, commonCount, geoBlocking) {
+  const keys = [];
+
+  if (features.dedupeId) keys.push(`id:${features.dedupeId}`);
+  if (features.phone) keys.push(`phone:${features.phone}`);
+  if (features.domain) keys.push(`domain:${features.domain}`);
+  if (features.streetKey) keys.push(`street:${features.streetKey}`);
+
+  // Tokens rare enough to be distinctive; names made only of common words use their rarest one
+  const tokens = [...new Set(features.name.split(' ').filter(token => token.length > 1))]
+    .sort((a, b) => tokenCounts.get(a) - tokenCounts.get(b));
+  tokens
+    .filter((token, rank) => rank === 0 || tokenCounts.get(token) <= commonCount)
+    .forEach(token => keys.push(`name:${token}`));
+
+  if (!features.geo) {
+    return { index: keys, lookup: keys };
+  }
+
+  const cell = geohash(features.geo.lat, features.geo.lng, geoBlocking.precision);
+  const nearby = geohashNeighborhood(features.geo, geoBlocking.miles, geoBlocking.precision);
+  return {
+    index: [...keys, `geo:${cell}`],
+    lookup: [...keys, ...nearby.map(nearbyCell => `geo:${nearbyCell}`)]
+  };
+}
+
+function countNameTokens(features) {
+  const counts = new Map();
+  for (const { name } of features) {
+    for (const token of new Set(name.split(' '))) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function extractFeatures(lead) {
+  const business = lead.business || {};
+  const geo = business.geo;
+  const name = normalizeName(business.name);
+  const address = normalizeAddress(business.address);
+
+  return {
+    lead,
+    dedupeId: lead.dedupeId,
+    name: name,
+    nameBigrams: bigramProfile(name),
+    phone: business.phoneE164 || lead.contacts?.phones?.[0]?.phoneE164 || '',
+    domain: registrableDomain(normalizeDomain(lead.online?.domain || lead.online?.website)),
+    // Street without the unit: a suite is often listed by one source and not another
+    streetBigrams: bigramProfile(address.street.toLowerCase()),
+    streetKey: streetKey(address),
+    zip: (address.postalCode || '').slice(0, 5),
+    city: (address.city || '').toLowerCase(),
+    geo: geo?.lat && geo?.lng ? geo : null
+  };
+}
+
+// Returns the evidence for a match, or null when the pair does not match
+function compareLeads(a, b, thresholds) {
+  const nameSimilarity = diceSimilarity(a.nameBigrams, b.nameBigrams);
+  const phoneMatch = Boolean(a.phone) && a.phone === b.phone;
+  const domainMatch = Boolean(a.domain) && a.domain === b.domain;
+
+  // Most candidate pairs fail here, before the distance and address work
+  if (!phoneMatch && !domainMatch && nameSimilarity < thresholds.nameOnlySimilarity && a.dedupeId !== b.dedupeId) {
+    return null;
+  }
+
+  const distanceMiles = a.geo && b.geo ? haversineMiles(a.geo, b.geo) : null;
+  const addressSimilarity = diceSimilarity(a.streetBigrams, b.streetBigrams);
+  const nearby = distanceMiles !== null && distanceMiles <= thresholds.maxDistanceMiles;
+  const sameAddress = addressSimilarity >= thresholds.addressSimilarity && !differentLocality(a, b);
+  const location = nearby ? 'geo' : sameAddress ? 'address' : '';
+
+  let rule = '';
+
+  if (a.dedupeId && a.dedupeId === b.dedupeId) {
+    rule = 'dedupeId';
+  } else if (a.phone && b.phone && !phoneMatch) {
+    // Different phones are different locations, whatever the name and domain say
+    rule = '';
+  } else if (phoneMatch && domainMatch) {
+    rule = 'phone+domain';
+  } else if ((phoneMatch || domainMatch) && nameSimilarity >= thresholds.keyNameSimilarity && location) {
+    rule = `${phoneMatch ? 'phone' : 'domain'}+name+${location}`;
+  } else if (nameSimilarity >= thresholds.nameOnlySimilarity && location) {
+    rule = `name+${location}`;
+  }
+
+  if (!rule) return null;
+
+  return {
+    rule: rule,
+    score: nameSimilarity + (phoneMatch ? 1 : 0) + (domainMatch ? 1 : 0),
+    nameSimilarity: round(nameSimilarity),
+    phoneMatch: phoneMatch,
+    domainMatch: domainMatch,
+    distanceMiles: distanceMiles === null ? null : round(distanceMiles),
+    addressSimilarity: round(addressSimilarity)
+  };
+}
+
+// House number, first street word and ZIP (or city): "100 main 80202". Geo blocks of
+// loose strategies are wide and capped, so same-address pairs need a key of their own
+function streetKey(address) {
+  const [number, word] = address.street.toLowerCase().split(/\s+/);
+  const locality = (address.postalCode || '').slice(0, 5) || (address.city || '').toLowerCase();
+  return /^\d/.test(number || '') && word && locality ? `${number} ${word} ${locality}` : '';
+}
+
+// Tells "100 Main St" in two towns apart: ZIPs when both have one, else cities
+function differentLocality(a, b) {
+  if (a.zip && b.zip) return a.zip !== b.zip;
+  return Boolean(a.city && b.city && a.city !== b.city);
+}
+
+// Bigrams as sorted numeric codes, computed once per lead instead of once per compared pair
+function bigramProfile(text) {
+  const compact = (text || '').replace(/\s+/g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    bigrams.push(compact.charCodeAt(i) * 65536 + compact.charCodeAt(i + 1));
+  }
+  return { text: compact, bigrams: bigrams.sort((x, y) => x - y) };
+}
+
+// Dice coefficient over bigrams, the same measure as stringSimilarity.compareTwoStrings
+function diceSimilarity(a, b) {
+  if (!a.text || !b.text) return 0;
+  if (a.text === b.text) return 1;
+  if (a.text.length < 2 || b.text.length < 2) return 0;
+
+  // Multiset intersection of the two sorted lists
+  let intersection = 0;
+  let i = 0;
+  let j = 0;
+  while (i < a.bigrams.length && j < b.bigrams.length) {
+    if (a.bigrams[i] === b.bigrams[j]) {
+      intersection++;
+      i++;
+      j++;
+    } else if (a.bigrams[i] < b.bigrams[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return (2 * intersection) / (a.text.length + b.text.length - 2);
+}
+
+function describeLead(lead) {
+  return `${lead.business?.name || ''} (${Object.keys(lead.sources || {}).join(', ')})`;
+}
+
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\w\s]/g, ' ')
+    .replace(LEGAL_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Bare host, or '' for hosts shared by unrelated businesses
+export function normalizeDomain(value) {
+  if (!value) return '';
+
+  try {
+    const host = (value.includes('://') ? new URL(value).hostname : value.split('/')[0])
+      .toLowerCase()
+      .replace(/^www\./, '');
+    const isShared = [...SHARED_DOMAINS].some(shared => host === shared || host.endsWith(`.${shared}`));
+    return isShared ? '' : host;
+  } catch (e) {
+    return '';
+  }
+}
+
+// "shop.acme.com" → "acme.com"
+function registrableDomain(host) {
+  if (!host) return '';
+  const labels = host.split('.');
+  const size = TWO_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
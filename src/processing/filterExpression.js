@@ -0,0 +1,285 @@
+/**
+ * Lead filter expressions
+ * A small expression language evaluated against the full lead record, e.g.
+ *
+ *   score.tier in ['A', 'B'] and not signals.techSignals.hubspot and distanceMiles < 15
+ *
+ * Expressions are parsed into a tree and interpreted; nothing is passed to eval,
+ * and paths can only read the lead's own data.
+ *
+ *   logic       and, or, not (also &&, ||, !) and parentheses
+ *   comparison  ==, !=, <, <=, >, >=
+ *   membership  x in [...], x not in [...], x contains y (substring or array item)
+ *   values      numbers, 'strings' / "strings", true, false, null, [lists]
+ *   paths       business.address.city, contacts.emails.length, contacts.phones[0].phone
+ *
+ * A path that does not exist evaluates to null, so comparisons against it are false.
+ */
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'contains', 'true', 'false', 'null']);
+const COMPARISONS = new Set(['==', '!=', '<', '<=', '>', '>=', 'in', 'not in', 'contains']);
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * Parse an expression into a predicate `lead => boolean`. Throws an Error
+ * naming the position of the first syntax error.
+ */
+export function compileFilterExpression(source) {
+  const parser = createParser(tokenize(source), source);
+  const tree = parser.parseExpression();
+  parser.expectEnd();
+
+  return lead => Boolean(evaluate(tree, lead));
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw syntaxError(source, i, 'unterminated string');
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+    } else if (/\d/.test(char) || (char === '-' && /\d/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const word = source.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.has(lower) ? { type: 'keyword', value: lower, pos: i } : { type: 'name', value: word, pos: i });
+      i += word.length;
+    } else {
+      const op = ['==', '!=', '<=', '>=', '&&', '||'].find(candidate => source.startsWith(candidate, i)) ||
+        ('<>!()[],.'.includes(char) ? char : null);
+      if (!op) throw syntaxError(source, i, `unexpected character "${char}"`);
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+    }
+  }
+
+  return tokens;
+}
+
+function createParser(tokens, source) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const is = (value) => peek()?.value === value && peek().type !== 'string';
+  const fail = (message) => {
+    const token = peek();
+    throw syntaxError(source, token ? token.pos : source.length, token ? `${message}, found "${token.value}"` : `${message} at end of expression`);
+  };
+  const expect = (value) => {
+    if (!is(value)) fail(`expected "${value}"`);
+    return next();
+  };
+
+  function parseExpression() {
+    return parseOr();
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (is('or') || is('||')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (is('and') || is('&&')) {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (is('not') || is('!')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseValue();
+    let operator = peek()?.type !== 'string' ? peek()?.value : null;
+
+    if (operator === 'not' && tokens[index + 1]?.value === 'in') {
+      next();
+      operator = 'not in';
+    } else if (!COMPARISONS.has(operator)) {
+      return left;
+    }
+
+    next();
+    return { type: 'compare', operator, left, right: parseValue() };
+  }
+
+  function parseValue() {
+    const token = peek();
+    if (!token) fail('expected a value');
+
+    if (token.type === 'number' || token.type === 'string') {
+      next();
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      next();
+      return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+    }
+    if (is('(')) {
+      next();
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    if (is('[')) {
+      return parseList();
+    }
+    if (token.type === 'name') {
+      return parsePath();
+    }
+
+    return fail('expected a value');
+  }
+
+  function parseList() {
+    expect('[');
+    const items = [];
+    while (!is(']')) {
+      items.push(parseValue());
+      if (!is(']')) expect(',');
+    }
+    expect(']');
+    return { type: 'list', items };
+  }
+
+  function parsePath() {
+    const segments = [next().value];
+
+    while (is('.') || is('[')) {
+      if (next().value === '.') {
+        const token = next();
+        if (!token || (token.type !== 'name' && token.type !== 'keyword')) {
+          index--;
+          fail('expected a property name');
+        }
+        segments.push(token.value);
+      } else {
+        const token = next();
+        if (token?.type !== 'number' && token?.type !== 'string') {
+          index--;
+          fail('expected an index');
+        }
+        segments.push(token.value);
+        expect(']');
+      }
+    }
+
+    const blocked = segments.find(segment => BLOCKED_PROPERTIES.has(String(segment)));
+    if (blocked) throw new Error(`Filter expression cannot read "${blocked}"`);
+
+    return { type: 'path', segments };
+  }
+
+  return {
+    parseExpression,
+    expectEnd() {
+      if (peek()) fail('expected end of expression');
+    }
+  };
+}
+
+function evaluate(node, lead) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(item => evaluate(item, lead));
+    case 'path':
+      return readPath(lead, node.segments);
+    case 'not':
+      return !evaluate(node.operand, lead);
+    case 'and':
+      return evaluate(node.left, lead) && evaluate(node.right, lead);
+    case 'or':
+      return evaluate(node.left, lead) || evaluate(node.right, lead);
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, lead), evaluate(node.right, lead));
+    default:
+      return null;
+  }
+}
+
+// Own data properties only, plus the length of arrays and strings
+function readPath(value, segments) {
+  let current = value;
+
+  for (const segment of segments) {
+    if (current === null || current === undefined) return null;
+
+    if (segment === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+      current = current.length;
+    } else if (typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, segment)) {
+      current = current[segment];
+    } else {
+      return null;
+    }
+  }
+
+  return current === undefined ? null : current;
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return looseEquals(left, right);
+    case '!=':
+      return !looseEquals(left, right);
+    case 'in':
+      return Array.isArray(right) && right.some(item => looseEquals(left, item));
+    case 'not in':
+      return !(Array.isArray(right) && right.some(item => looseEquals(left, item)));
+    case 'contains':
+      if (Array.isArray(left)) return left.some(item => looseEquals(item, right));
+      if (typeof left === 'string' && right !== null) return left.toLowerCase().includes(String(right).toLowerCase());
+      return false;
+    default:
+      // Ordering comparisons need two values of the same type
+      if (left === null || right === null || typeof left !== typeof right) return false;
+      if (operator === '<') return left < right;
+      if (operator === '<=') return left <= right;
+      if (operator === '>') return left > right;
+      return left >= right;
+  }
+}
+
+// Strings compare case-insensitively so 'a' matches tier 'A'
+function looseEquals(left, right) {
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left.toLowerCase() === right.toLowerCase();
+  }
+  return left === right;
+}
+
+function syntaxError(source, pos, message) {
+  return new Error(`Invalid filter expression at position ${pos + 1}: ${message}\n  ${source}\n  ${' '.repeat(pos)}^`);
+}
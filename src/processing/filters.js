@@ -0,0 +1,69 @@
+/**
+ * Lead filters
+ * The fixed filters (rating, reviews, website, franchises, keywords) run once,
+ * right after dedupe. filters.expression runs at filters.expressionStage:
+ *   preEnrichment  - with the fixed filters, before any website is crawled
+ *   postEnrichment - after enrichment, so contact and tech signals are known
+ *   postScoring    - after scoring, so score.leadScore / score.tier are known
+ */
+
+import { isFranchise } from './franchise.js';
+import { compileFilterExpression } from './filterExpression.js';
+
+export const FILTER_STAGES = ['preEnrichment', 'postEnrichment', 'postScoring'];
+
+export function hasLeadFilters(filters = {}) {
+  return Boolean(
+    filters.minRating || filters.minReviews || filters.requireWebsite || filters.excludeFranchises ||
+    filters.includeKeywords?.length || filters.excludeKeywords?.length
+  );
+}
+
+export function passesLeadFilters(lead, filters) {
+  if (filters.minRating && (lead.signals?.reviews?.rating || 0) < filters.minRating) {
+    return false;
+  }
+  if (filters.minReviews && (lead.signals?.reviews?.reviewCount || 0) < filters.minReviews) {
+    return false;
+  }
+  if (filters.requireWebsite && !lead.online?.website) {
+    return false;
+  }
+  if (filters.excludeFranchises && isFranchise(lead)) {
+    return false;
+  }
+
+  // Keywords match name, category and description, case-insensitively
+  const text = [lead.business?.name, lead.business?.category, ...(lead.business?.categories || []), lead.business?.description]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  if (filters.includeKeywords?.length && !filters.includeKeywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+    return false;
+  }
+  if (filters.excludeKeywords?.length && filters.excludeKeywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Returns { stage, test } for filters.expression, or null when none is set.
+ * Compiling up front surfaces syntax errors before the run does any work.
+ */
+export function createExpressionFilter(filters = {}) {
+  if (!filters.expression?.trim()) return null;
+
+  return {
+    stage: filters.expressionStage || 'postScoring',
+    test: compileFilterExpression(filters.expression)
+  };
+}
+
+export function validateFilters(filters = {}) {
+  if (filters.expressionStage && !FILTER_STAGES.includes(filters.expressionStage)) {
+    throw new Error(`filters.expressionStage must be one of: ${FILTER_STAGES.join(', ')}`);
+  }
+  createExpressionFilter(filters);
+}
@@ -0,0 +1,147 @@
+/**
+ * Franchise and chain detection
+ * A lead is flagged when any of these holds:
+ *   knownBrand    - its name or website domain belongs to a bundled national brand
+ *   multiLocation - the same name or domain shows up at several locations in this run
+ *   locatorUrl    - its website is a page inside a corporate store locator
+ * The result is stored as lead.signals.franchise = { isFranchise, reasons }.
+ *
+ * Detection runs on the source records after dedupe has assigned cluster ids but
+ * before they are merged, so branches that dedupe folded together still count;
+ * merge carries the flag onto the merged lead. Only the listing's website URL is
+ * checked against locator patterns, not the pages crawled during enrichment
+ * (an independent business's own /locations page would look the same).
+ */
+
+import { readFileSync } from 'fs';
+import { addressKey } from '../utils/address.js';
+import { normalizeDomain } from './dedupe.js';
+
+const BUNDLED_BRANDS = JSON.parse(
+  readFileSync(new URL('../data/franchiseBrands.json', import.meta.url), 'utf8')
+).brands;
+
+export const DEFAULT_MIN_LOCATIONS = 3;
+
+// locations.example.com, example.com/locations/boston-ma, /store-locator/..., /find-a-location/...
+const LOCATOR_HOST = /^(locations?|stores?|local|branches|offices)\./i;
+const LOCATOR_PATH = /\/(locations?|stores?|store-locator|store-finder|find-a-(location|store|branch|office)|branches|offices|franchises?|near-me)(\/|$)/i;
+
+/**
+ * Flag chain locations across the whole lead list. Each distinct dedupeId counts
+ * as one location. `options.brands` adds brand names to the bundled list;
+ * `options.minLocations` sets how many locations the same name or domain needs
+ * before it counts as a chain.
+ */
+export function detectFranchises(leads, options = {}) {
+  const brands = buildBrandIndex(options.brands);
+  const minLocations = options.minLocations || DEFAULT_MIN_LOCATIONS;
+  const nameLocations = countLocations(leads, lead => normalizeName(lead.business?.name));
+  const domainLocations = countLocations(leads, lead => normalizeDomain(lead.online?.domain || lead.online?.website));
+
+  for (const lead of leads) {
+    const name = normalizeName(lead.business?.name);
+    const domain = normalizeDomain(lead.online?.domain || lead.online?.website);
+    const reasons = [];
+
+    const brand = matchBrand(name, domain, brands);
+    if (brand) {
+      reasons.push(`known brand: ${brand}`);
+    }
+
+    const nameCount = nameLocations.get(name)?.size || 0;
+    const domainCount = domainLocations.get(domain)?.size || 0;
+    if (nameCount >= minLocations) {
+      reasons.push(`name at ${nameCount} locations in this run`);
+    } else if (domainCount >= minLocations) {
+      reasons.push(`website at ${domainCount} locations in this run`);
+    }
+
+    const locator = matchLocatorUrl(lead.online?.website);
+    if (locator) {
+      reasons.push(`store locator URL (${locator})`);
+    }
+
+    lead.signals = {
+      ...lead.signals,
+      franchise: { isFranchise: reasons.length > 0, reasons: reasons }
+    };
+  }
+
+  return leads;
+}
+
+export function isFranchise(lead) {
+  return Boolean(lead.signals?.franchise?.isFranchise);
+}
+
+function buildBrandIndex(extraBrands = []) {
+  const byName = new Map();
+  const byDomain = new Map();
+
+  for (const brand of [...BUNDLED_BRANDS, ...extraBrands.map(name => ({ name, domains: [] }))]) {
+    const name = normalizeName(brand.name);
+    if (name) byName.set(name, brand.name);
+    for (const domain of brand.domains || []) {
+      byDomain.set(domain.toLowerCase(), brand.name);
+    }
+  }
+
+  return { byName, byDomain };
+}
+
+// Brand names match at the start of the listing name: "Roto-Rooter Plumbing & Water Cleanup"
+function matchBrand(name, domain, brands) {
+  if (domain) {
+    const host = [...brands.byDomain.keys()].find(brandDomain => domain === brandDomain || domain.endsWith(`.${brandDomain}`));
+    if (host) return brands.byDomain.get(host);
+  }
+
+  if (name) {
+    for (const [brandName, label] of brands.byName) {
+      if (name === brandName || name.startsWith(`${brandName} `)) return label;
+    }
+  }
+
+  return null;
+}
+
+function matchLocatorUrl(website) {
+  if (!website) return null;
+
+  try {
+    const url = new URL(website);
+    if (LOCATOR_HOST.test(url.hostname)) return url.hostname;
+    const match = url.pathname.match(LOCATOR_PATH);
+    return match ? `/${match[1]}/` : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// key → set of distinct locations; records dedupe put in one cluster share a dedupeId
+function countLocations(leads, keyOf) {
+  const locations = new Map();
+
+  for (const lead of leads) {
+    const key = keyOf(lead);
+    if (!key) continue;
+    if (!locations.has(key)) locations.set(key, new Set());
+    locations.get(key).add(lead.dedupeId || addressKey(lead.business?.address));
+  }
+
+  return locations;
+}
+
+// "Great Clips - Main St #1234" → "great clips"
+function normalizeName(name) {
+  return (name || '')
+    .split(/\s[-–|@]\s|#|\(/)[0]
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’.!]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(llc|inc|co|corp|ltd)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -1,6 +1,11 @@
-export function mergeLeads(rawLeads) {
+import { resolveFields, leadConfidence, setPath, sourceIdOf } from './provenance.js';
+import { resolveMergePolicy } from './mergePolicy.js';
+import { summarizeReviews } from '../utils/reviewSignals.js';
+
+export function mergeLeads(rawLeads, mergePolicy) {
+  const policy = resolveMergePolicy(mergePolicy);
   const grouped = groupByDedupeId(rawLeads);
-  return Object.values(grouped).map(mergeDuplicates);
+  return Object.values(grouped).map(leads => mergeDuplicates(leads, policy));
 }
 
 function groupByDedupeId(leads) {
@@ -16,26 +21,30 @@ function groupByDedupeId(leads) {
   return grouped;
 }
 
-function mergeDuplicates(leads) {
+function mergeDuplicates(leads, policy) {
+  const { values, provenance, conflicts } = resolveFields(leads, policy);
+
   if (leads.length === 1) {
+    leads[0].provenance = provenance;
     return leads[0];
   }
   
   const merged = {
     dedupeId: leads[0].dedupeId,
-    confidence: calculateConfidence(leads),
+    confidence: leadConfidence(provenance),
     sources: {},
     business: {},
     online: {},
     contacts: { emails: [], phones: [], keyPeople: [] },
-    signals: {},
+    signals: mergeSignals(leads),
     score: {},
-    raw: {}
+    ai: {},
+    raw: mergeRaw(leads)
   };
   
   for (const lead of leads) {
     if (lead.sources) {
-      Object.assign(merged.sources, lead.sources);
+      merged.sources = mergeSources(merged.sources, lead.sources);
     }
     
     if (lead.business) {
@@ -48,22 +57,162 @@ function mergeDuplicates(leads) {
     
     if (lead.contacts) {
       if (lead.contacts.emails) {
-        merged.contacts.emails.push(...lead.contacts.emails);
+        merged.contacts.emails.push(...lead.contacts.emails.map(email => withSource(email, lead)));
       }
       if (lead.contacts.phones) {
-        merged.contacts.phones.push(...lead.contacts.phones);
+        merged.contacts.phones.push(...lead.contacts.phones.map(phone => withSource(phone, lead)));
+      }
+      if (lead.contacts.keyPeople) {
+        merged.contacts.keyPeople.push(...lead.contacts.keyPeople);
       }
     }
   }
   
+  // Tracked fields take the value the merge policy picked instead of the last one seen
+  for (const [path, value] of Object.entries(values)) {
+    setPath(merged, path, value);
+  }
+  merged.business.categories = [...new Set(leads.flatMap(lead => lead.business?.categories || []))];
+  merged.provenance = provenance;
+  merged.mergeConflicts = conflicts;
+  
+  const distances = leads.map(lead => lead.distanceMiles).filter(d => d !== undefined);
+  if (distances.length > 0) {
+    merged.distanceMiles = Math.min(...distances);
+  }
+  
+  // Keep why each record was matched into this one (set by deduplicateLeads)
+  merged.matchEvidence = leads.flatMap(lead => lead.matchEvidence || []);
+  
   merged.contacts.emails = deduplicateEmails(merged.contacts.emails);
   merged.contacts.phones = deduplicatePhones(merged.contacts.phones);
   
   return merged;
 }
 
-function calculateConfidence(leads) {
-  return Math.min(0.5 + (leads.length * 0.2), 1.0);
+// Flags and nested signal blocks (websiteSignals, chamberMembership, ...) combine
+// shallowly; reviews and hours keep every source's figures
+function mergeSignals(leads) {
+  let signals = {};
+  
+  for (const lead of leads) {
+    const { reviews, hours, ...rest } = lead.signals || {};
+    signals = mergeField(signals, rest);
+  }
+  
+  signals.isClosed = leads.some(lead => lead.signals?.isClosed);
+  signals.reviews = mergeReviews(leads);
+  signals.hours = mergeHours(leads);
+  
+  const franchise = mergeFranchise(leads);
+  if (franchise) signals.franchise = franchise;
+  
+  return signals;
+}
+
+// Chain detection runs per source record, so a branch is flagged when any of its records was
+function mergeFranchise(leads) {
+  const flags = leads.map(lead => lead.signals?.franchise).filter(Boolean);
+  if (flags.length === 0) return null;
+  
+  const reasons = [...new Set(flags.flatMap(flag => flag.reasons || []))];
+  return { isFranchise: reasons.length > 0, reasons: reasons };
+}
+
+/**
+ * Per-source review stats plus combined figures: review counts are added up
+ * (each platform has its own reviews) and the rating is weighted by review count.
+ * Sources with a rating but no count (e.g. BBB) only count when nobody has counts.
+ */
+function mergeReviews(leads) {
+  const bySource = {};
+  const samples = {};
+  
+  for (const lead of leads) {
+    const reviews = lead.signals?.reviews;
+    if (!reviews?.rating && !reviews?.reviewCount && !reviews?.recentReviews?.length) continue;
+    
+    const source = sourceIdOf(lead);
+    const existing = bySource[source];
+    // Same source twice: keep the listing with more reviews
+    if (!existing || (reviews.reviewCount || 0) > existing.reviewCount) {
+      bySource[source] = {
+        rating: reviews.rating || 0,
+        reviewCount: reviews.reviewCount || 0,
+        lastReviewDate: reviews.lastReviewDate || '',
+        reviewsLast90Days: reviews.reviewsLast90Days || 0,
+        velocityTrend: reviews.velocityTrend || 'unknown',
+        ownerResponseRate: reviews.ownerResponseRate ?? null
+      };
+      samples[source] = reviews.recentReviews || [];
+    }
+  }
+  
+  const stats = Object.values(bySource);
+  const counted = stats.filter(s => s.rating > 0 && s.reviewCount > 0);
+  const reviewCount = stats.reduce((sum, s) => sum + s.reviewCount, 0);
+  let rating = 0;
+  
+  if (counted.length > 0) {
+    const weighted = counted.reduce((sum, s) => sum + s.rating * s.reviewCount, 0);
+    rating = weighted / counted.reduce((sum, s) => sum + s.reviewCount, 0);
+  } else {
+    const rated = stats.filter(s => s.rating > 0);
+    rating = rated.length > 0 ? rated.reduce((sum, s) => sum + s.rating, 0) / rated.length : 0;
+  }
+  
+  // Each source samples different reviews, so the activity signals come from the pooled sample
+  const activity = summarizeReviews(Object.values(samples).flat());
+  
+  return {
+    rating: Math.round(rating * 10) / 10,
+    reviewCount: reviewCount,
+    ...activity,
+    lastReviewDate: activity.lastReviewDate || stats.map(s => s.lastReviewDate).filter(Boolean).sort().pop() || '',
+    bySource: bySource
+  };
+}
+
+function mergeHours(leads) {
+  const bySource = {};
+  
+  for (const lead of leads) {
+    const hours = lead.signals?.hours;
+    if (hours) {
+      bySource[sourceIdOf(lead)] = { ...bySource[sourceIdOf(lead)], ...hours };
+    }
+  }
+  
+  const all = Object.values(bySource);
+  const openNow = all.map(h => h.isOpenNow).find(v => v !== undefined && v !== null);
+  
+  return {
+    isOpen: all.every(h => h.isOpen !== false),
+    isOpenNow: openNow ?? null,
+    hoursText: all.map(h => h.hoursText).find(Boolean) || '',
+    bySource: bySource
+  };
+}
+
+// Collection metadata from every source; the merged record dates from the first sighting
+function mergeRaw(leads) {
+  const bySource = {};
+  
+  for (const lead of leads) {
+    bySource[sourceIdOf(lead)] = {
+      collectedAt: lead.raw?.collectedAt || '',
+      notes: lead.raw?.notes || ''
+    };
+  }
+  
+  const collected = leads.map(lead => lead.raw?.collectedAt).filter(Boolean).sort();
+  
+  return {
+    collectedAt: collected[0] || new Date().toISOString(),
+    runId: '',
+    notes: [...new Set(leads.map(lead => lead.raw?.notes).filter(Boolean))].join('; '),
+    bySource: bySource
+  };
 }
 
 function mergeField(target, source, totalSources) {
@@ -78,31 +227,52 @@ function mergeField(target, source, totalSources) {
   return result;
 }
 
-function deduplicateEmails(emails) {
-  const seen = new Set();
-  const unique = [];
+// nicheDirectories holds one entry per directory id, so a lead listed on two directories keeps both
+function mergeSources(target, sources) {
+  const result = { ...target, ...sources };
   
-  for (const email of emails) {
-    if (!seen.has(email.email)) {
-      seen.add(email.email);
-      unique.push(email);
-    }
+  if (target.nicheDirectories && sources.nicheDirectories) {
+    result.nicheDirectories = { ...target.nicheDirectories, ...sources.nicheDirectories };
   }
   
-  return unique;
+  return result;
 }
 
+// Contact entries remember which discovery sources listed them
+function withSource(entry, lead) {
+  return { ...entry, sources: [sourceIdOf(lead)] };
+}
+
+function deduplicateEmails(emails) {
+  return combineContacts(emails, email => email.email);
+}
+
+// Most-confirmed numbers first, so contacts.phones[0] is the one to trust
 function deduplicatePhones(phones) {
-  const seen = new Set();
-  const unique = [];
-  
-  for (const phone of phones) {
-    const key = phone.phoneE164 || phone.phone;
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(phone);
+  return combineContacts(phones, phone => phone.phoneE164 || phone.phone)
+    .sort((a, b) => b.sources.length - a.sources.length || b.confidence - a.confidence);
+}
+
+// Collapse equal entries, union their sources and raise confidence when several sources agree
+function combineContacts(entries, keyOf) {
+  const byKey = new Map();
+  
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    const existing = byKey.get(key);
+    
+    if (!existing) {
+      byKey.set(key, { ...entry });
+      continue;
     }
+    
+    const sources = [...new Set([...existing.sources, ...entry.sources])];
+    const confidence = sources.length > existing.sources.length
+      ? 1 - (1 - (existing.confidence || 0)) * (1 - (entry.confidence || 0))
+      : Math.max(existing.confidence || 0, entry.confidence || 0);
+    
+    byKey.set(key, { ...existing, sources, confidence: Math.round(confidence * 100) / 100 });
   }
   
-  return unique;
+  return [...byKey.values()];
 }
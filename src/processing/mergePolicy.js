@@ -0,0 +1,108 @@
+/**
+ * Merge policy: how a field is resolved when duplicate records disagree.
+ *
+ *   {
+ *     strategy: 'majority',                  // default for fields not listed below
+ *     sourcePriority: ['googleMaps', ...],   // used by the 'priority' strategy
+ *     fields: {
+ *       'online.website': { strategy: 'priority', sources: ['googleMaps', 'yelp'] },
+ *       'business.description': 'longest'
+ *     }
+ *   }
+ *
+ * Strategies:
+ *   majority - value reported by the most distinct sources (ties: more reliable sources)
+ *   priority - value from the highest-ranked source that has one
+ *   recent   - value from the freshest listing, by the source's own update time
+ *              (sources.<id>.updatedAt) or else its newest review; values with
+ *              no such date fall back to priority
+ *   longest  - longest / most complete value (for addresses: most filled-in parts)
+ *
+ * `recent` ignores raw.collectedAt: records of one run are collected minutes
+ * apart, so the collection time says nothing about which listing is current.
+ * online.domain and business.phone follow online.website and business.phoneE164
+ * (see provenance.js) and ignore policies of their own.
+ */
+
+export const MERGE_STRATEGIES = ['majority', 'priority', 'recent', 'longest'];
+
+export const DEFAULT_MERGE_POLICY = {
+  strategy: 'majority',
+  sourcePriority: ['googleMaps', 'yelp', 'bbb', 'chambers', 'nicheDirectories', 'customUrl', 'serp'],
+  fields: {
+    // Official listings carry the owner-verified website; directories often link to themselves
+    'online.website': { strategy: 'priority' },
+    'business.geo': { strategy: 'priority' },
+    'business.address': { strategy: 'longest' },
+    'business.description': { strategy: 'longest' }
+  }
+};
+
+// User policy is layered over the default; field entries may be a bare strategy name
+export function resolveMergePolicy(policy = {}) {
+  const fields = { ...DEFAULT_MERGE_POLICY.fields };
+
+  for (const [path, fieldPolicy] of Object.entries(policy.fields || {})) {
+    fields[path] = typeof fieldPolicy === 'string' ? { strategy: fieldPolicy } : fieldPolicy;
+  }
+
+  return {
+    strategy: policy.strategy || DEFAULT_MERGE_POLICY.strategy,
+    sourcePriority: policy.sourcePriority || DEFAULT_MERGE_POLICY.sourcePriority,
+    fields
+  };
+}
+
+export function validateMergePolicy(policy) {
+  const strategies = [policy.strategy, ...Object.values(policy.fields || {}).map(f => typeof f === 'string' ? f : f?.strategy)];
+  const unknown = strategies.filter(strategy => strategy && !MERGE_STRATEGIES.includes(strategy));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown merge strategy "${unknown[0]}". Use one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+}
+
+export function fieldPolicyFor(policy, path) {
+  const fieldPolicy = policy.fields[path] || {};
+  return {
+    strategy: fieldPolicy.strategy || policy.strategy,
+    sources: fieldPolicy.sources || policy.sourcePriority
+  };
+}
+
+/**
+ * Pick the winning value group. Each group is
+ * { key, value, reliability: Map(source → reliability), support, freshest, firstIndex }.
+ */
+export function pickGroup(groups, fieldPolicy) {
+  const compare = COMPARATORS[fieldPolicy.strategy] || COMPARATORS.majority;
+  return groups.reduce((best, group) => {
+    const diff = compare(group, best, fieldPolicy) || group.support - best.support || best.firstIndex - group.firstIndex;
+    return diff > 0 ? group : best;
+  });
+}
+
+// Positive when `a` should win over `b`
+const COMPARATORS = {
+  majority: (a, b) => a.reliability.size - b.reliability.size,
+  priority: (a, b, fieldPolicy) => priorityRank(b, fieldPolicy.sources) - priorityRank(a, fieldPolicy.sources),
+  recent: (a, b, fieldPolicy) => a.freshest && b.freshest
+    ? (a.freshest > b.freshest) - (a.freshest < b.freshest)
+    : COMPARATORS.priority(a, b, fieldPolicy),
+  longest: (a, b) => completeness(a.value) - completeness(b.value)
+};
+
+function priorityRank(group, sources) {
+  const ranks = [...group.reliability.keys()]
+    .map(source => sources.indexOf(source))
+    .filter(rank => rank !== -1);
+  return ranks.length > 0 ? Math.min(...ranks) : sources.length;
+}
+
+function completeness(value) {
+  if (value && typeof value === 'object') {
+    const filled = Object.values(value).filter(v => v !== '' && v !== null && v !== undefined).length;
+    return filled * 1000 + (value.formatted || '').length;
+  }
+  return String(value ?? '').length;
+}
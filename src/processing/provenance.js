@@ -0,0 +1,190 @@
+/**
+ * Field-level provenance for merged leads
+ * For each tracked field, the values offered by the duplicate records are grouped
+ * (after normalization), each group is backed by the sources that supplied it,
+ * and the merge policy picks the winning group. A source's reliability is the
+ * confidence its adapter assigned to the raw lead.
+ *
+ * Paired fields are not resolved on their own: online.domain follows the chosen
+ * online.website and business.phone follows the chosen business.phoneE164, so a
+ * merged lead never shows one source's website with another source's domain.
+ */
+
+import { parsePhoneNumber } from 'libphonenumber-js';
+import { fieldPolicyFor, pickGroup } from './mergePolicy.js';
+import { addressKey } from '../utils/address.js';
+
+const TRACKED_FIELDS = {
+  'business.name': { get: lead => lead.business?.name, key: normalizeText },
+  'business.category': { get: lead => lead.business?.category, key: normalizeText },
+  'business.description': { get: lead => lead.business?.description, key: normalizeText },
+  'business.address': { get: lead => lead.business?.address?.formatted ? lead.business.address : null, key: addressKey },
+  'business.geo': { get: lead => lead.business?.geo?.lat && lead.business?.geo?.lng ? lead.business.geo : null, key: geoKey },
+  'business.phoneE164': { get: lead => lead.business?.phoneE164, key: phoneKey },
+  'business.phone': { get: lead => lead.business?.phone, key: phoneKey, follows: 'business.phoneE164', derive: nationalPhone },
+  'online.website': { get: lead => lead.online?.website, key: domainKey },
+  'online.domain': { get: lead => lead.online?.domain, key: domainKey, follows: 'online.website', derive: domainKey }
+};
+
+// Fields averaged into the lead's overall confidence
+const KEY_FIELDS = ['business.name', 'business.address', 'business.phoneE164', 'online.website'];
+
+const DEFAULT_RELIABILITY = 0.5;
+
+export function sourceIdOf(lead) {
+  return Object.keys(lead.sources || {})[0] || 'unknown';
+}
+
+/**
+ * Returns { values, provenance, conflicts }:
+ *   values[path]     - the value the policy picked
+ *   provenance[path] = { sources, agreed, strategy, confidence, alternatives: [{ value, sources }] }
+ *   conflicts        - one entry per field where sources disagreed, for review
+ */
+export function resolveFields(leads, policy) {
+  const values = {};
+  const provenance = {};
+  const conflicts = [];
+  const chosenGroups = {};
+
+  for (const [path, field] of Object.entries(TRACKED_FIELDS)) {
+    const groups = groupValues(leads, field);
+    const leader = field.follows && chosenGroups[field.follows];
+
+    // Keys are shared within a pair, so the follower takes the group matching the leader's choice
+    if (leader) {
+      const match = groups.find(group => group.key === leader.key);
+      values[path] = match ? match.value : field.derive(leader.value);
+      provenance[path] = {
+        ...provenance[field.follows],
+        sources: [...(match || leader).reliability.keys()],
+        follows: field.follows,
+        alternatives: []
+      };
+      continue;
+    }
+
+    if (groups.length === 0) continue;
+
+    const fieldPolicy = fieldPolicyFor(policy, path);
+    const totalSupport = groups.reduce((sum, group) => sum + group.support, 0);
+    const chosen = pickGroup(groups, fieldPolicy);
+    const alternatives = groups
+      .filter(group => group !== chosen)
+      .map(group => ({ value: group.value, sources: [...group.reliability.keys()] }));
+
+    values[path] = chosen.value;
+    chosenGroups[path] = chosen;
+    provenance[path] = {
+      sources: [...chosen.reliability.keys()],
+      agreed: groups.length === 1,
+      strategy: fieldPolicy.strategy,
+      confidence: round(combineReliability(chosen.reliability) * chosen.support / totalSupport),
+      alternatives: alternatives
+    };
+
+    if (alternatives.length > 0) {
+      conflicts.push({
+        field: path,
+        strategy: fieldPolicy.strategy,
+        chosen: { value: chosen.value, sources: provenance[path].sources },
+        rejected: alternatives
+      });
+    }
+  }
+
+  return { values, provenance, conflicts };
+}
+
+// Overall lead confidence: mean confidence of the key fields the lead has
+export function leadConfidence(provenance) {
+  const confidences = KEY_FIELDS
+    .filter(path => provenance[path])
+    .map(path => provenance[path].confidence);
+
+  if (confidences.length === 0) return DEFAULT_RELIABILITY;
+  return round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length);
+}
+
+export function setPath(target, path, value) {
+  const [section, key] = path.split('.');
+  target[section] = { ...target[section], [key]: value };
+}
+
+function groupValues(leads, field) {
+  const groups = new Map();
+
+  leads.forEach((lead, index) => {
+    const value = field.get(lead);
+    const key = value ? field.key(value) : '';
+    if (!key) return;
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, value, reliability: new Map(), support: 0, freshest: '', firstIndex: index });
+    }
+
+    const group = groups.get(key);
+    const source = sourceIdOf(lead);
+    const reliability = lead.confidence || DEFAULT_RELIABILITY;
+    group.freshest = [group.freshest, freshness(lead)].sort().pop();
+
+    // Equal values may be spelled differently; the group shows the most reliable source's spelling
+    if (reliability > Math.max(0, ...group.reliability.values())) {
+      group.value = value;
+    }
+
+    // A source repeating itself (two queries, same listing) does not corroborate the value
+    group.reliability.set(source, Math.max(group.reliability.get(source) || 0, reliability));
+  });
+
+  for (const group of groups.values()) {
+    group.support = [...group.reliability.values()].reduce((sum, r) => sum + r, 0);
+  }
+
+  return [...groups.values()];
+}
+
+// Probability that at least one of the independent sources is right
+function combineReliability(reliability) {
+  return 1 - [...reliability.values()].reduce((miss, r) => miss * (1 - r), 1);
+}
+
+function normalizeText(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function phoneKey(value) {
+  return String(value).replace(/\D/g, '').slice(-10);
+}
+
+function domainKey(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+}
+
+// When the source last saw the listing change: its own update time, else its newest review (ISO)
+function freshness(lead) {
+  const updatedAt = lead.sources?.[sourceIdOf(lead)]?.updatedAt;
+  const time = Date.parse(updatedAt || lead.signals?.reviews?.lastReviewDate || '');
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+}
+
+function nationalPhone(phoneE164) {
+  try {
+    return parsePhoneNumber(phoneE164).formatNational();
+  } catch (e) {
+    return phoneE164;
+  }
+}
+
+// ~100 m grid so the same storefront from two sources compares equal
+function geoKey(geo) {
+  return `${geo.lat.toFixed(3)},${geo.lng.toFixed(3)}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,40 +1,221 @@
-export function scoreLead(lead, weightsPreset = 'localService') {
-  const score = calculateScore(lead, weightsPreset);
-  const tier = assignTier(score);
-  const reasons = generateReasons(lead, score);
+/**
+ * Lead scoring
+ * Each feature group is normalized to 0-1 and the score is the weighted mean of
+ * the groups (scaled to 0-100), plus fixed adjustments for chamber membership
+ * and chain locations. Presets are weight profiles; `custom` uses
+ * scoring.customWeights, and presets learned from won / lost history
+ * (weightTraining.js) are passed in by name.
+ */
+
+export const SCORING_PRESETS = {
+  // Reputation and being reachable by phone matter most for trades
+  localService: { reviews: 3, recency: 1, hasWebsite: 2, techSignals: 1, contactability: 3 },
+  // Agencies sell to businesses that already invest online
+  b2bAgency: { reviews: 1, recency: 1, hasWebsite: 3, techSignals: 3, contactability: 2 },
+  // Foot traffic follows ratings and recent reviews
+  retail: { reviews: 4, recency: 2, hasWebsite: 1, techSignals: 1, contactability: 1 }
+};
+
+export const FEATURE_GROUPS = ['reviews', 'recency', 'hasWebsite', 'techSignals', 'contactability'];
+
+const CHAMBER_BONUS = 10;
+const FRANCHISE_PENALTY = 25;
+
+/**
+ * Returns { leadScore, tier, reasons, missing, preset, weights, breakdown }.
+ * breakdown.components[group] = { value, detail, weight, points, maxPoints }, where
+ * value is the 0-1 feature, detail the raw data behind it and points its share
+ * of the score; breakdown.adjustments lists the fixed bonuses and penalties.
+ */
+export function scoreLead(lead, weightsPreset = 'localService', customWeights = {}, learnedPresets = {}) {
+  const weights = resolveWeights(weightsPreset, customWeights, learnedPresets);
+  const breakdown = scoreBreakdown(lead, weights);
+  const total = Object.values(breakdown.components).reduce((sum, c) => sum + c.points, 0) +
+    breakdown.adjustments.reduce((sum, a) => sum + a.points, 0);
+  const score = Math.round(Math.min(Math.max(total, 0), 100));
   
-  return { leadScore: score, tier, reasons };
+  return {
+    leadScore: score,
+    tier: assignTier(score),
+    reasons: generateReasons(breakdown),
+    missing: missingData(breakdown),
+    preset: weightsPreset,
+    weights,
+    breakdown
+  };
 }
 
-function calculateScore(lead, weightsPreset) {
-  let score = 0;
-  
+// Custom weights default to 1 per group, like the input schema; `website` is accepted for hasWebsite
+export function resolveWeights(weightsPreset, customWeights = {}, learnedPresets = {}) {
+  if (learnedPresets[weightsPreset] && !SCORING_PRESETS[weightsPreset]) {
+    return { ...learnedPresets[weightsPreset].weights };
+  }
+  if (weightsPreset !== 'custom') {
+    return { ...(SCORING_PRESETS[weightsPreset] || SCORING_PRESETS.localService) };
+  }
+
+  const aliased = { hasWebsite: customWeights.website, ...customWeights };
+  return Object.fromEntries(FEATURE_GROUPS.map(group => [group, aliased[group] ?? 1]));
+}
+
+// A learned preset is known when it is saved already or trained by this run
+export function validateScoring(scoring, learnedPresets = {}) {
+  const preset = scoring.weightsPreset || 'localService';
+  const learned = [...Object.keys(learnedPresets), ...(hasTrainingLabels(scoring.training) ? [scoring.training.presetName || 'learned'] : [])];
+  if (preset !== 'custom' && !SCORING_PRESETS[preset] && !learned.includes(preset)) {
+    throw new Error(`Unknown scoring preset "${preset}". Use one of: ${[...Object.keys(SCORING_PRESETS), 'custom', ...learned].join(', ')}`);
+  }
+  if (scoring.training?.presetName && (SCORING_PRESETS[scoring.training.presetName] || scoring.training.presetName === 'custom')) {
+    throw new Error(`scoring.training.presetName "${scoring.training.presetName}" is a built-in preset name`);
+  }
+  if (scoring.training?.regularization !== undefined && !(scoring.training.regularization >= 0)) {
+    throw new Error('scoring.training.regularization must be 0 or more');
+  }
+  if (scoring.training?.validationSplit !== undefined && !(scoring.training.validationSplit >= 0 && scoring.training.validationSplit <= 0.5)) {
+    throw new Error('scoring.training.validationSplit must be between 0 and 0.5');
+  }
+
+  if (preset === 'custom') {
+    const weights = resolveWeights(preset, scoring.customWeights);
+    if (Object.values(weights).some(weight => typeof weight !== 'number' || weight < 0)) {
+      throw new Error('scoring.customWeights must be non-negative numbers');
+    }
+    if (Object.values(weights).every(weight => weight === 0)) {
+      throw new Error('scoring.customWeights needs at least one weight above 0');
+    }
+  }
+}
+
+export function hasTrainingLabels(training) {
+  return Boolean(training?.labels?.length || training?.labelsUrl || training?.labelsDatasetId);
+}
+
+/**
+ * Feature groups, each { value (0-1), detail, gaps }:
+ *   reviews        - rating and review volume (50+ reviews counts as full)
+ *   recency        - review activity: age of the newest review, reviews in the last
+ *                    90 days, velocity trend and owner response rate; 0.5 when no
+ *                    source reports review dates
+ *   hasWebsite     - has a website, more with HTTPS
+ *   techSignals    - marketing tools detected on the site (5+ counts as full)
+ *   contactability - email, phone and a contact form
+ * `gaps` are missing data, each with the share of the group's value it costs.
+ */
+export function scoreFeatures(lead) {
   const reviewCount = lead.signals?.reviews?.reviewCount || 0;
   const rating = lead.signals?.reviews?.rating || 0;
-  
-  if (reviewCount > 0 && rating > 0) {
-    const reviewScore = Math.min((reviewCount / 50) * 15, 15);
-    const ratingScore = (rating / 5) * 15;
-    score += reviewScore + ratingScore;
+  const website = lead.online?.website || '';
+  const tools = Object.entries(lead.signals?.techSignals || {}).filter(([, on]) => on).map(([tool]) => tool);
+  const hasEmail = lead.contacts?.emails?.length > 0;
+  const hasPhone = lead.contacts?.phones?.length > 0 || Boolean(lead.business?.phone);
+  const hasContactForm = Boolean(lead.contacts?.contactFormUrl || lead.signals?.websiteSignals?.hasContactForm);
+  const hasReviews = reviewCount > 0 && rating > 0;
+  const recency = reviewActivity(lead.signals?.reviews);
+
+  return {
+    reviews: {
+      value: hasReviews ? (Math.min(reviewCount / 50, 1) + rating / 5) / 2 : 0,
+      detail: hasReviews ? `${rating}★ from ${reviewCount} reviews` : 'no reviews',
+      gaps: hasReviews ? [] : [{ label: 'no reviews found', share: 1 }]
+    },
+    recency: recency,
+    hasWebsite: {
+      value: website ? (website.startsWith('https') ? 1 : 0.8) : 0,
+      detail: website ? (website.startsWith('https') ? 'HTTPS website' : 'website without HTTPS') : 'no website',
+      gaps: website
+        ? (website.startsWith('https') ? [] : [{ label: 'website not on HTTPS', share: 0.2 }])
+        : [{ label: 'no website found', share: 1 }]
+    },
+    techSignals: {
+      value: Math.min(tools.length / 5, 1),
+      detail: tools.length > 0 ? `uses ${tools.join(', ')}` : 'no marketing tools detected',
+      gaps: tools.length === 0 ? [{ label: 'no marketing tools detected', share: 1 }] : []
+    },
+    contactability: {
+      value: (hasEmail ? 0.5 : 0) + (hasPhone ? 0.3 : 0) + (hasContactForm ? 0.2 : 0),
+      detail: [hasEmail && 'email', hasPhone && 'phone', hasContactForm && 'contact form'].filter(Boolean).join(', ') || 'no contact details',
+      gaps: [
+        !hasEmail && { label: 'no email found', share: 0.5 },
+        !hasPhone && { label: 'no phone found', share: 0.3 },
+        !hasContactForm && { label: 'no contact form found', share: 0.2 }
+      ].filter(Boolean)
+    }
+  };
+}
+
+function scoreBreakdown(lead, weights) {
+  const features = scoreFeatures(lead);
+  const totalWeight = FEATURE_GROUPS.reduce((sum, group) => sum + (weights[group] || 0), 0);
+  const components = {};
+
+  for (const group of FEATURE_GROUPS) {
+    const maxPoints = totalWeight > 0 ? (weights[group] || 0) / totalWeight * 100 : 0;
+    components[group] = {
+      value: Math.round(features[group].value * 100) / 100,
+      detail: features[group].detail,
+      weight: weights[group] || 0,
+      points: round(features[group].value * maxPoints),
+      maxPoints: round(maxPoints),
+      gaps: features[group].gaps.map(gap => ({ label: gap.label, points: round(-gap.share * maxPoints) }))
+    };
   }
-  
-  if (lead.online?.website) {
-    score += 20;
+
+  const adjustments = [];
+  if (lead.signals?.chamberMembership?.isMember) {
+    adjustments.push({ label: 'Chamber of Commerce member', points: CHAMBER_BONUS });
   }
-  
-  const hasEmail = lead.contacts?.emails?.length > 0;
-  const hasPhone = lead.contacts?.phones?.length > 0;
-  const hasContactForm = lead.contacts?.contactFormUrl;
-  
-  if (hasEmail) score += 10;
-  if (hasPhone) score += 5;
-  if (hasContactForm) score += 5;
-  
-  const techSignals = lead.signals?.techSignals || {};
-  const techCount = Object.values(techSignals).filter(Boolean).length;
-  score += Math.min(techCount * 3, 15);
-  
-  return Math.round(Math.min(score, 100));
+  // Chain locations buy marketing from head office, not locally
+  if (lead.signals?.franchise?.isFranchise) {
+    adjustments.push({ label: `franchise / chain location (${lead.signals.franchise.reasons[0]})`, points: -FRANCHISE_PENALTY });
+  }
+
+  return { components, adjustments };
+}
+
+// Parts of the recency group; the owner response share only counts when a source reports replies
+const ACTIVITY_PARTS = { age: 0.5, volume: 0.3, trend: 0.2, response: 0.2 };
+const TREND_VALUES = { rising: 1, steady: 0.7, slowing: 0.3, dormant: 0, unknown: 0.5 };
+
+// Newest review: 1 within a month, falling to 0 at a year. Volume: 3+ reviews in 90 days counts as full
+function reviewActivity(reviews = {}) {
+  const time = reviews.lastReviewDate ? Date.parse(reviews.lastReviewDate) : NaN;
+  if (Number.isNaN(time)) {
+    return { value: 0.5, detail: 'review dates unknown', gaps: [{ label: 'no review dates found', share: 0.5 }] };
+  }
+
+  const days = Math.max(0, Math.round((Date.now() - time) / 86400000));
+  const recent = reviews.reviewsLast90Days || 0;
+  const trend = reviews.velocityTrend || 'unknown';
+  const responseRate = reviews.ownerResponseRate ?? null;
+
+  const parts = {
+    age: days <= 30 ? 1 : Math.max(0, 1 - (days - 30) / 335),
+    volume: Math.min(recent / 3, 1),
+    trend: TREND_VALUES[trend] ?? TREND_VALUES.unknown
+  };
+  if (responseRate !== null) parts.response = responseRate;
+
+  const totalWeight = Object.keys(parts).reduce((sum, part) => sum + ACTIVITY_PARTS[part], 0);
+  const share = part => ACTIVITY_PARTS[part] / totalWeight * (1 - parts[part]);
+  const gapLabels = {
+    age: `newest review ${days} days old`,
+    volume: recent > 0 ? `only ${recent} reviews in the last 90 days` : 'no reviews in the last 90 days',
+    trend: trend === 'unknown' ? 'too few review dates for a trend' : `review pace ${trend}`,
+    response: `owner answers ${Math.round((responseRate || 0) * 100)}% of reviews`
+  };
+
+  return {
+    value: Object.keys(parts).reduce((sum, part) => sum + ACTIVITY_PARTS[part] / totalWeight * parts[part], 0),
+    detail: [
+      `newest review ${days} days old`,
+      `${recent} in the last 90 days`,
+      trend !== 'unknown' && trend,
+      responseRate !== null && `${Math.round(responseRate * 100)}% answered`
+    ].filter(Boolean).join(', '),
+    gaps: Object.keys(parts)
+      .filter(part => share(part) > 0)
+      .map(part => ({ label: gapLabels[part], share: share(part) }))
+  };
 }
 
 function assignTier(score) {
@@ -44,29 +225,45 @@ function assignTier(score) {
   return 'D';
 }
 
-function generateReasons(lead, score) {
-  const reasons = [];
-  
-  if (score >= 80) {
-    reasons.push('High-quality lead with strong signals');
-  }
-  
-  if (lead.signals?.reviews?.reviewCount > 20) {
-    reasons.push('Well-reviewed business');
-  }
-  
-  if (lead.online?.website) {
-    reasons.push('Has active website');
-  }
-  
-  if (lead.contacts?.emails?.length > 0) {
-    reasons.push('Email contact available');
-  }
-  
-  const techSignals = lead.signals?.techSignals || {};
-  if (Object.values(techSignals).some(Boolean)) {
-    reasons.push('Uses marketing technology');
-  }
-  
-  return reasons;
+const GROUP_LABELS = {
+  reviews: 'Reviews',
+  recency: 'Review activity',
+  hasWebsite: 'Website',
+  techSignals: 'Marketing tech',
+  contactability: 'Contactability'
+};
+
+// Largest contributors first, then the fixed adjustments: "Reviews (4.6★ from 120 reviews): +27"
+function generateReasons(breakdown) {
+  const contributors = Object.entries(breakdown.components)
+    .filter(([, component]) => component.points >= 1)
+    .sort(([, a], [, b]) => b.points - a.points)
+    .slice(0, 3)
+    .map(([group, component]) => `${GROUP_LABELS[group]} (${component.detail}): +${formatPoints(component.points)}`);
+
+  const adjustments = breakdown.adjustments
+    .map(adjustment => `${capitalize(adjustment.label)}: ${adjustment.points > 0 ? '+' : '−'}${formatPoints(Math.abs(adjustment.points))}`);
+
+  return [...contributors, ...adjustments];
+}
+
+// Missing data that cost points, most expensive first: "no email found: −10"
+function missingData(breakdown) {
+  return Object.values(breakdown.components)
+    .flatMap(component => component.gaps)
+    .filter(gap => gap.points <= -1)
+    .sort((a, b) => a.points - b.points)
+    .map(gap => `${gap.label}: −${formatPoints(Math.abs(gap.points))}`);
+}
+
+function formatPoints(points) {
+  return String(Math.round(points));
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
 }
@@ -0,0 +1,376 @@
+/**
+ * Learned scoring weights
+ * Fits a regularized logistic regression of won / lost outcomes on the same
+ * feature groups scoreLead uses (scoreFeatures, each 0-1) and turns the
+ * coefficients into a weight profile. Profiles are saved as named presets in a
+ * key-value store so later runs can pick them with scoring.weightsPreset.
+ *
+ * Labels come from scoring.training (inline `labels`, a CSV `labelsUrl` or an
+ * Apify `labelsDatasetId`), one row per past lead with an entityId, dedupeId or
+ * domain and an outcome. They are joined to this run's enriched leads, so the
+ * run should cover the markets the history came from.
+ *
+ * A stratified share of the matched leads (validationSplit, default 0.25) is
+ * held out of the fit and the metrics and calibration are measured on it. With
+ * too few labels to spare, everything is used for the fit and the metrics are
+ * marked in-sample.
+ */
+
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+import { FEATURE_GROUPS, scoreFeatures } from './scoring.js';
+import { normalizeDomain } from './dedupe.js';
+
+const DEFAULT_STORE_NAME = 'leadgraph-scoring';
+const PRESETS_KEY = 'LEARNED_PRESETS';
+const DEFAULT_PRESET_NAME = 'learned';
+const MIN_SAMPLES = 20;
+const MIN_PER_CLASS = 5;
+// A holdout needs at least this many leads of each outcome to say anything
+const MIN_VALIDATION_PER_CLASS = 3;
+const DEFAULT_VALIDATION_SPLIT = 0.25;
+// Learned weights are scaled to the same total as the built-in presets
+const WEIGHT_TOTAL = 10;
+
+const WON_LABELS = ['won', 'closed-won', 'closed won', 'closedwon', 'win', 'yes', 'true', '1'];
+const LOST_LABELS = ['lost', 'closed-lost', 'closed lost', 'closedlost', 'loss', 'no', 'false', '0'];
+
+/**
+ * Saved presets as { name: { weights, trainedAt, metrics, calibration, importance, ... } }.
+ * An unreadable store yields no presets rather than failing the run.
+ */
+export async function loadLearnedPresets(storeName = DEFAULT_STORE_NAME) {
+  try {
+    const store = await Actor.openKeyValueStore(storeName);
+    const saved = await store.getValue(PRESETS_KEY);
+    return saved?.presets || {};
+  } catch (error) {
+    log.warning('Failed to load learned scoring presets:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Train a preset from the labels in `training` against `leads` and save it.
+ * `entityIdOf` looks up a lead's identity graph entity so rows exported from
+ * earlier runs match by entityId. Returns the preset, or null when there is
+ * too little labeled data.
+ */
+export async function trainScoringPreset(leads, training = {}, entityIdOf = null) {
+  const name = training.presetName || DEFAULT_PRESET_NAME;
+  const labels = await loadLabels(training);
+  const { examples, unmatched } = buildTrainingSet(leads, labels, training.labelField, entityIdOf);
+  const won = examples.filter(example => example.won).length;
+
+  log.info(`Scoring training: ${labels.length} labeled rows, ${examples.length} matched to leads (${won} won), ${unmatched} unmatched`);
+
+  if (examples.length < MIN_SAMPLES || won < MIN_PER_CLASS || examples.length - won < MIN_PER_CLASS) {
+    log.warning(`Scoring training needs at least ${MIN_SAMPLES} matched leads with ${MIN_PER_CLASS} won and ${MIN_PER_CLASS} lost; preset "${name}" not trained`);
+    return null;
+  }
+
+  const { fit, validation } = splitExamples(examples, training.validationSplit ?? DEFAULT_VALIDATION_SPLIT);
+  const evaluatedOn = validation.length > 0 ? validation : fit;
+  const model = fitLogisticRegression(fit, training.regularization ?? 1);
+  const weights = coefficientsToWeights(model.coefficients);
+  if (!weights) {
+    log.warning(`No feature group predicts won deals in the labeled data; preset "${name}" not trained`);
+    return null;
+  }
+
+  const preset = {
+    weights,
+    coefficients: model.coefficients,
+    intercept: model.intercept,
+    regularization: training.regularization ?? 1,
+    importance: featureImportance(fit, model.coefficients),
+    calibration: calibrate(evaluatedOn, model),
+    metrics: {
+      samples: examples.length,
+      won,
+      lost: examples.length - won,
+      unmatched,
+      trainedOn: fit.length,
+      evaluation: validation.length > 0 ? 'holdout' : 'in-sample',
+      evaluatedOn: evaluatedOn.length,
+      ...evaluate(evaluatedOn, model)
+    },
+    trainedAt: new Date().toISOString()
+  };
+
+  await savePreset(training.storeName || DEFAULT_STORE_NAME, name, preset);
+  log.info(`Saved learned scoring preset "${name}"`, { weights, auc: preset.metrics.auc, evaluation: preset.metrics.evaluation });
+
+  return { name, ...preset };
+}
+
+async function loadLabels(training) {
+  const rows = [...(training.labels || [])];
+
+  try {
+    if (training.labelsUrl) {
+      const response = await fetch(training.labelsUrl);
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      rows.push(...parseCsv(await response.text()));
+    }
+    if (training.labelsDatasetId) {
+      const dataset = await Actor.openDataset(training.labelsDatasetId, { forceCloud: Actor.isAtHome() });
+      rows.push(...(await dataset.getData()).items);
+    }
+  } catch (error) {
+    log.warning('Failed to load scoring training labels:', error.message);
+  }
+
+  return rows;
+}
+
+// Rows match a lead by entityId, then dedupeId, then website domain; each lead is used once
+function buildTrainingSet(leads, rows, labelField = 'outcome', entityIdOf = null) {
+  const byEntityId = new Map();
+  const byDedupeId = new Map();
+  const byDomain = new Map();
+
+  for (const lead of leads) {
+    const entityId = lead.entityId || entityIdOf?.(lead);
+    if (entityId) byEntityId.set(entityId, lead);
+    if (lead.dedupeId) byDedupeId.set(lead.dedupeId, lead);
+    const domain = normalizeDomain(lead.online?.domain || lead.online?.website);
+    if (domain && !byDomain.has(domain)) byDomain.set(domain, lead);
+  }
+
+  const examples = [];
+  const used = new Set();
+  let unmatched = 0;
+
+  for (const row of rows) {
+    const won = parseOutcome(row[labelField]);
+    if (won === null) continue;
+
+    const lead = byEntityId.get(row.entityId)
+      || byDedupeId.get(row.dedupeId)
+      || byDomain.get(normalizeDomain(row.domain || row.website));
+    if (!lead) {
+      unmatched++;
+      continue;
+    }
+    if (used.has(lead)) continue;
+    used.add(lead);
+
+    const features = scoreFeatures(lead);
+    examples.push({ x: FEATURE_GROUPS.map(group => features[group].value), won });
+  }
+
+  return { examples, unmatched };
+}
+
+/**
+ * Every n-th won and every n-th lost lead (in label order) goes to validation.
+ * No holdout when it would be too small or leave the fit under the minimums.
+ */
+function splitExamples(examples, share) {
+  const none = { fit: examples, validation: [] };
+  if (!(share > 0 && share < 1)) return none;
+
+  const won = examples.filter(example => example.won);
+  const lost = examples.filter(example => !example.won);
+  const heldOut = list => Math.floor(list.length * share);
+  if (Math.min(heldOut(won), heldOut(lost)) < MIN_VALIDATION_PER_CLASS) return none;
+  if (examples.length - heldOut(won) - heldOut(lost) < MIN_SAMPLES
+    || Math.min(won.length - heldOut(won), lost.length - heldOut(lost)) < MIN_PER_CLASS) return none;
+
+  // share is at most 0.5 (validateScoring), so every step-th lead covers the held-out count
+  const step = Math.floor(1 / share);
+  const fit = [];
+  const validation = [];
+  for (const list of [won, lost]) {
+    let held = 0;
+    list.forEach((example, i) => {
+      if (i % step === step - 1 && held < heldOut(list)) {
+        validation.push(example);
+        held++;
+      } else {
+        fit.push(example);
+      }
+    });
+  }
+
+  return { fit, validation };
+}
+
+function parseOutcome(value) {
+  const label = String(value ?? '').trim().toLowerCase();
+  if (WON_LABELS.includes(label)) return true;
+  if (LOST_LABELS.includes(label)) return false;
+  return null;
+}
+
+/**
+ * L2-regularized logistic regression by batch gradient descent. Features are
+ * already 0-1, so they are not rescaled and the coefficients stay comparable.
+ */
+function fitLogisticRegression(examples, lambda, iterations = 3000, learningRate = 0.5) {
+  const n = examples.length;
+  const coefficients = FEATURE_GROUPS.map(() => 0);
+  let intercept = 0;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const gradient = coefficients.map(() => 0);
+    let interceptGradient = 0;
+
+    for (const { x, won } of examples) {
+      const error = sigmoid(intercept + dot(coefficients, x)) - (won ? 1 : 0);
+      interceptGradient += error;
+      x.forEach((value, i) => { gradient[i] += error * value; });
+    }
+
+    // The intercept is not penalized
+    intercept -= learningRate * interceptGradient / n;
+    coefficients.forEach((coefficient, i) => {
+      coefficients[i] -= learningRate * (gradient[i] + lambda * coefficient) / n;
+    });
+  }
+
+  return {
+    coefficients: Object.fromEntries(FEATURE_GROUPS.map((group, i) => [group, round(coefficients[i], 4)])),
+    intercept: round(intercept, 4),
+    predict: x => sigmoid(intercept + dot(coefficients, x))
+  };
+}
+
+// The score is a weighted mean, so a group that predicts losing gets weight 0 rather than a negative one
+function coefficientsToWeights(coefficients) {
+  const positive = Object.fromEntries(Object.entries(coefficients).map(([group, c]) => [group, Math.max(c, 0)]));
+  const total = Object.values(positive).reduce((sum, c) => sum + c, 0);
+  if (total === 0) return null;
+
+  return Object.fromEntries(Object.entries(positive).map(([group, c]) => [group, round(c / total * WEIGHT_TOTAL, 2)]));
+}
+
+// |coefficient| × spread of the feature, as a share of the total; direction says which outcome it points to
+function featureImportance(examples, coefficients) {
+  const raw = FEATURE_GROUPS.map((group, i) => {
+    const values = examples.map(example => example.x[i]);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+    return { group, coefficient: coefficients[group], effect: Math.abs(coefficients[group]) * std };
+  });
+  const total = raw.reduce((sum, item) => sum + item.effect, 0) || 1;
+
+  return raw
+    .map(item => ({
+      group: item.group,
+      coefficient: item.coefficient,
+      importance: round(item.effect / total, 3),
+      direction: item.coefficient >= 0 ? 'won' : 'lost'
+    }))
+    .sort((a, b) => b.importance - a.importance);
+}
+
+// Predicted vs actual win rate in five probability buckets
+function calibrate(examples, model) {
+  const buckets = [0, 0.2, 0.4, 0.6, 0.8].map(low => ({ range: `${low.toFixed(1)}-${(low + 0.2).toFixed(1)}`, leads: 0, predicted: 0, won: 0 }));
+
+  for (const example of examples) {
+    const probability = model.predict(example.x);
+    const bucket = buckets[Math.min(Math.floor(probability * 5), 4)];
+    bucket.leads++;
+    bucket.predicted += probability;
+    bucket.won += example.won ? 1 : 0;
+  }
+
+  return buckets
+    .filter(bucket => bucket.leads > 0)
+    .map(bucket => ({
+      range: bucket.range,
+      leads: bucket.leads,
+      predictedWinRate: round(bucket.predicted / bucket.leads, 3),
+      actualWinRate: round(bucket.won / bucket.leads, 3)
+    }));
+}
+
+// Log loss, accuracy at 0.5 and AUC (share of won/lost pairs ranked correctly)
+function evaluate(examples, model) {
+  const scored = examples.map(example => ({ p: model.predict(example.x), won: example.won }));
+  const logLoss = -scored.reduce((sum, { p, won }) => sum + Math.log(Math.min(Math.max(won ? p : 1 - p, 1e-12), 1)), 0) / scored.length;
+  const accuracy = scored.filter(({ p, won }) => (p >= 0.5) === won).length / scored.length;
+
+  const wonScores = scored.filter(s => s.won).map(s => s.p);
+  const lostScores = scored.filter(s => !s.won).map(s => s.p);
+  let correct = 0;
+  for (const w of wonScores) {
+    for (const l of lostScores) correct += w > l ? 1 : w === l ? 0.5 : 0;
+  }
+
+  return {
+    logLoss: round(logLoss, 4),
+    accuracy: round(accuracy, 3),
+    auc: round(correct / (wonScores.length * lostScores.length), 3)
+  };
+}
+
+async function savePreset(storeName, name, preset) {
+  try {
+    const store = await Actor.openKeyValueStore(storeName);
+    const saved = (await store.getValue(PRESETS_KEY)) || { version: 1, presets: {} };
+    saved.presets[name] = preset;
+    await store.setValue(PRESETS_KEY, { ...saved, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    log.warning('Failed to save learned scoring preset:', error.message);
+  }
+}
+
+// Header row plus quoted fields; enough for CRM exports
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(value => value.trim()));
+  const keys = header.map(key => key.trim());
+  return records.map(record => Object.fromEntries(keys.map((key, i) => [key, (record[i] || '').trim()])));
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,343 @@
+/**
+ * US address parsing and normalization
+ * Free-text addresses are split into street / unit / city / state / ZIP and the
+ * street is rewritten with USPS Publication 28 abbreviations, so "123 Main Street,
+ * Suite 4" and "123 Main St Ste 4" come out the same. A directional is only
+ * abbreviated when it isn't the street name: "100 North Main Street" becomes
+ * "100 N Main St", but "100 North Ave" stays "100 North Ave".
+ */
+
+// USPS street suffixes (Pub. 28 appendix C1), most common first
+const STREET_SUFFIXES = {
+  street: 'St', st: 'St', str: 'St',
+  avenue: 'Ave', ave: 'Ave', av: 'Ave', avn: 'Ave',
+  road: 'Rd', rd: 'Rd',
+  drive: 'Dr', dr: 'Dr', drv: 'Dr',
+  boulevard: 'Blvd', blvd: 'Blvd', boul: 'Blvd',
+  lane: 'Ln', ln: 'Ln',
+  court: 'Ct', ct: 'Ct',
+  place: 'Pl', pl: 'Pl',
+  terrace: 'Ter', ter: 'Ter',
+  circle: 'Cir', cir: 'Cir',
+  highway: 'Hwy', hwy: 'Hwy',
+  parkway: 'Pkwy', pkwy: 'Pkwy', pky: 'Pkwy',
+  expressway: 'Expy', expy: 'Expy',
+  freeway: 'Fwy', fwy: 'Fwy',
+  turnpike: 'Tpke', tpke: 'Tpke',
+  square: 'Sq', sq: 'Sq',
+  trail: 'Trl', trl: 'Trl',
+  way: 'Way',
+  alley: 'Aly', aly: 'Aly',
+  center: 'Ctr', centre: 'Ctr', ctr: 'Ctr',
+  plaza: 'Plz', plz: 'Plz',
+  point: 'Pt', pt: 'Pt',
+  crossing: 'Xing', xing: 'Xing',
+  heights: 'Hts', hts: 'Hts',
+  ridge: 'Rdg', rdg: 'Rdg',
+  route: 'Rte', rte: 'Rte',
+  causeway: 'Cswy', cswy: 'Cswy',
+  cove: 'Cv', cv: 'Cv',
+  creek: 'Crk', crk: 'Crk',
+  extension: 'Ext', ext: 'Ext',
+  grove: 'Grv', grv: 'Grv',
+  harbor: 'Hbr', hbr: 'Hbr',
+  hill: 'Hl', hl: 'Hl',
+  hills: 'Hls', hls: 'Hls',
+  hollow: 'Holw', holw: 'Holw',
+  junction: 'Jct', jct: 'Jct',
+  landing: 'Lndg', lndg: 'Lndg',
+  meadows: 'Mdws', mdws: 'Mdws',
+  mountain: 'Mtn', mtn: 'Mtn',
+  pike: 'Pike',
+  loop: 'Loop',
+  row: 'Row',
+  run: 'Run',
+  station: 'Sta', sta: 'Sta',
+  summit: 'Smt', smt: 'Smt',
+  valley: 'Vly', vly: 'Vly',
+  view: 'Vw', vw: 'Vw',
+  village: 'Vlg', vlg: 'Vlg',
+  walk: 'Walk'
+};
+
+const DIRECTIONALS = {
+  north: 'N', n: 'N',
+  south: 'S', s: 'S',
+  east: 'E', e: 'E',
+  west: 'W', w: 'W',
+  northeast: 'NE', ne: 'NE',
+  northwest: 'NW', nw: 'NW',
+  southeast: 'SE', se: 'SE',
+  southwest: 'SW', sw: 'SW'
+};
+
+// Secondary unit designators (Pub. 28 appendix C2)
+const UNIT_DESIGNATORS = {
+  suite: 'Ste', ste: 'Ste',
+  apartment: 'Apt', apt: 'Apt',
+  unit: 'Unit',
+  building: 'Bldg', bldg: 'Bldg',
+  floor: 'Fl', fl: 'Fl',
+  room: 'Rm', rm: 'Rm',
+  department: 'Dept', dept: 'Dept',
+  office: 'Ofc', ofc: 'Ofc',
+  space: 'Spc', spc: 'Spc',
+  lot: 'Lot',
+  trailer: 'Trlr', trlr: 'Trlr',
+  penthouse: 'Ph', ph: 'Ph'
+};
+
+const STATES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC',
+  florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL',
+  indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+  maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK',
+  oregon: 'OR', pennsylvania: 'PA', 'puerto rico': 'PR', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX',
+  utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA', 'west virginia': 'WV',
+  wisconsin: 'WI', wyoming: 'WY'
+};
+const STATE_CODES = new Set(Object.values(STATES));
+
+const UNIT_PATTERN = new RegExp(`(?:^|\\s)(?:(${Object.keys(UNIT_DESIGNATORS).join('|')})\\.?|#)\\s*#?\\s*([\\w-]+)\\s*$`, 'i');
+const ZIP_PATTERN = /\b(\d{5})(?:[-\s]?(\d{4}))?$/;
+const COUNTRY_PATTERN = /,?\s*(USA|U\.S\.A\.|US|United States(?: of America)?)\.?$/i;
+
+/**
+ * Parse a free-text US address. `defaults` ({ city, state }) fill parts the text
+ * leaves out, e.g. the search location for listings that only show a street.
+ */
+export function parseAddress(text, defaults = {}) {
+  const cleaned = (text || '')
+    .replace(/^address:\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(COUNTRY_PATTERN, '');
+  const parts = cleaned.split(',').map(part => part.trim()).filter(Boolean);
+
+  let state = '';
+  let postalCode = '';
+
+  // "MA 02101", "Massachusetts", "02101" or "Boston MA 02101" at the end
+  if (parts.length > 0) {
+    let last = parts[parts.length - 1];
+    const zipMatch = last.match(ZIP_PATTERN);
+    if (zipMatch) {
+      postalCode = normalizeZip(zipMatch[0]);
+      last = last.slice(0, zipMatch.index).trim();
+    }
+
+    // A lone "123 Main St NE" has no state; NE there is a directional
+    const stateMatch = postalCode || parts.length >= 2 ? matchTrailingState(last) : null;
+    if (stateMatch) {
+      state = stateMatch.state;
+      last = stateMatch.rest;
+    }
+
+    if (last) {
+      parts[parts.length - 1] = last;
+    } else if (state || postalCode) {
+      parts.pop();
+    }
+  }
+
+  // With a state or ZIP found, the part before it is the city
+  let city = '';
+  if ((state || postalCode) && parts.length >= 2) {
+    city = parts.pop();
+  } else if ((state || postalCode) && parts.length === 1 && !/^\d/.test(parts[0])) {
+    city = parts.pop();
+  } else if (parts.length >= 2 && !/\d/.test(parts[parts.length - 1]) && !normalizeUnit(parts[parts.length - 1])) {
+    city = parts.pop();
+  }
+
+  // Remaining parts are street lines; a separate "Suite 4" part is the unit
+  const streetParts = [];
+  let unit = '';
+  for (const part of parts) {
+    const unitOnly = normalizeUnit(part);
+    if (unitOnly && streetParts.length > 0) {
+      unit = unitOnly;
+    } else {
+      streetParts.push(part);
+    }
+  }
+
+  const street = splitUnit(streetParts.join(' '));
+
+  return buildAddress({
+    street: street.street,
+    unit: unit || street.unit,
+    city: city || defaults.city || '',
+    state: state || defaults.state || '',
+    postalCode: postalCode,
+    country: 'US'
+  });
+}
+
+/**
+ * Standardize an address that is already split into parts (API responses, schema.org).
+ * Keeps the source's formatted text when there are no parts to rebuild it from.
+ */
+export function normalizeAddress(address) {
+  if (!address) {
+    return buildAddress({});
+  }
+
+  if (!address.street && !address.city && address.formatted) {
+    return parseAddress(address.formatted);
+  }
+
+  const street = splitUnit(address.street || '');
+
+  return buildAddress({
+    street: street.street,
+    unit: address.unit ? normalizeUnit(address.unit) || address.unit : street.unit,
+    city: address.city || '',
+    state: normalizeState(address.state || ''),
+    postalCode: normalizeZip(address.postalCode || ''),
+    country: address.country || 'US'
+  }, address.formatted);
+}
+
+/**
+ * Canonical comparison key: standardized street + unit, then ZIP5 (or city/state
+ * when there is no ZIP). Equal for differently written forms of the same address.
+ */
+export function addressKey(address) {
+  if (!address) return '';
+
+  const normalized = address.street !== undefined && (address.street || address.city)
+    ? normalizeAddress(address)
+    : parseAddress(address.formatted || '');
+
+  const street = [normalized.street, normalized.unit].filter(Boolean).join(' ').toLowerCase();
+  const area = normalized.postalCode
+    ? normalized.postalCode.slice(0, 5)
+    : `${normalized.city.toLowerCase()} ${normalized.state.toLowerCase()}`.trim();
+
+  if (!street && !area) return '';
+  return `${street}|${area}`;
+}
+
+// Split "Boston, MA" style search locations into defaults for parseAddress
+export function locationDefaults(location) {
+  const parsed = parseAddress(location || '');
+  return { city: parsed.city || parsed.street, state: parsed.state };
+}
+
+export function standardizeStreet(street) {
+  const words = (street || '')
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (words.length === 0) return '';
+
+  // Suffix is the last word, or the one before a trailing directional ("Main Street North")
+  const lastIndex = words.length - 1;
+  const trailingDirectional = words.length > 2 && DIRECTIONALS[words[lastIndex].toLowerCase()];
+  const suffixIndex = trailingDirectional ? lastIndex - 1 : lastIndex;
+  const hasSuffix = suffixIndex > 1 && Boolean(STREET_SUFFIXES[words[suffixIndex].toLowerCase()]);
+  // A pre-directional needs a street name after it: in "100 North Ave" North is the name
+  const nameWordsAfterFirst = lastIndex - 1 - (hasSuffix ? 1 : 0) - (trailingDirectional ? 1 : 0);
+
+  return words.map((word, index) => {
+    const lower = word.toLowerCase();
+
+    if (index === suffixIndex && index > 1 && STREET_SUFFIXES[lower]) {
+      return STREET_SUFFIXES[lower];
+    }
+    // Pre-directional right after the house number, post-directional at the end
+    if ((index === 1 && nameWordsAfterFirst > 0 && /^\d/.test(words[0])) || (index === lastIndex && trailingDirectional)) {
+      if (DIRECTIONALS[lower]) return DIRECTIONALS[lower];
+    }
+    return /^\d/.test(word) ? word.toUpperCase() : capitalize(word);
+  }).join(' ');
+}
+
+export function normalizeZip(zip) {
+  const digits = String(zip || '').replace(/\D/g, '');
+  if (digits.length === 9) return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+  if (digits.length === 5) return digits;
+  return String(zip || '').trim();
+}
+
+export function normalizeState(state) {
+  const trimmed = (state || '').replace(/\./g, '').trim();
+  if (STATE_CODES.has(trimmed.toUpperCase())) return trimmed.toUpperCase();
+  return STATES[trimmed.toLowerCase()] || trimmed;
+}
+
+function matchTrailingState(text) {
+  const lower = text.toLowerCase();
+
+  for (const [name, code] of Object.entries(STATES)) {
+    if (lower === name || lower.endsWith(` ${name}`)) {
+      return { state: code, rest: text.slice(0, text.length - name.length).trim() };
+    }
+  }
+
+  const codeMatch = text.match(/(?:^|\s)([A-Za-z]{2})\.?$/);
+  if (codeMatch && STATE_CODES.has(codeMatch[1].toUpperCase())) {
+    return { state: codeMatch[1].toUpperCase(), rest: text.slice(0, codeMatch.index).trim() };
+  }
+
+  return null;
+}
+
+// "123 Main St Suite 4" → { street: '123 Main St', unit: 'Ste 4' }
+function splitUnit(text) {
+  const match = text.match(UNIT_PATTERN);
+  if (!match || match.index === 0) {
+    return { street: standardizeStreet(text), unit: '' };
+  }
+
+  return {
+    street: standardizeStreet(text.slice(0, match.index)),
+    unit: formatUnit(match[1], match[2])
+  };
+}
+
+function normalizeUnit(text) {
+  const match = text.trim().match(new RegExp(`^(?:(${Object.keys(UNIT_DESIGNATORS).join('|')})\\.?|#)\\s*#?\\s*([\\w-]+)$`, 'i'));
+  return match ? formatUnit(match[1], match[2]) : '';
+}
+
+function formatUnit(designator, id) {
+  const label = designator ? UNIT_DESIGNATORS[designator.toLowerCase()] : '#';
+  return label === '#' ? `# ${id.toUpperCase()}` : `${label} ${id.toUpperCase()}`;
+}
+
+function buildAddress(parts, formatted) {
+  const address = {
+    street: parts.street || '',
+    unit: parts.unit || '',
+    city: parts.city || '',
+    state: parts.state || '',
+    postalCode: parts.postalCode || '',
+    country: parts.country || 'US',
+    formatted: ''
+  };
+
+  const streetLine = [address.street, address.unit].filter(Boolean).join(' ');
+  const built = [streetLine, address.city, [address.state, address.postalCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+
+  address.formatted = built || formatted || '';
+  return address;
+}
+
+function capitalize(word) {
+  if (word.length <= 1) return word.toUpperCase();
+  // Leave mixed-case words (McDonald, O'Brien) alone
+  if (word !== word.toLowerCase() && word !== word.toUpperCase()) return word;
+  return word[0].toUpperCase() + word.slice(1).toLowerCase();
+}
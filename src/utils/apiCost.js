@@ -0,0 +1,46 @@
+/**
+ * Estimated API spend for the run, from per-SKU request counts.
+ * Prices are Google's list prices in USD per 1000 requests and ignore
+ * free monthly credits and volume discounts. Yelp calls are counted at 0:
+ * they are capped by the plan's daily quota rather than billed per call.
+ */
+
+import { log } from 'crawlee';
+
+const PRICE_PER_1000 = {
+  'places.textSearch': 32,
+  'places.nearbySearch': 32,
+  'places.details': 25,
+  'placesNew.textSearch.basic': 32,
+  'placesNew.textSearch.advanced': 35,
+  'placesNew.textSearch.preferred': 40,
+  'yelp.search': 0,
+  'yelp.details': 0,
+  'yelp.reviews': 0
+};
+
+const usage = {};
+
+export function recordApiCall(sku, count = 1) {
+  if (!(sku in PRICE_PER_1000)) {
+    log.debug(`No price known for API SKU ${sku}`);
+  }
+  usage[sku] = (usage[sku] || 0) + count;
+}
+
+export function getApiCostEstimate() {
+  const calls = {};
+  let totalUsd = 0;
+
+  for (const [sku, count] of Object.entries(usage)) {
+    const usd = count * (PRICE_PER_1000[sku] || 0) / 1000;
+    calls[sku] = { count, usd: roundUsd(usd) };
+    totalUsd += usd;
+  }
+
+  return { currency: 'USD', totalUsd: roundUsd(totalUsd), calls };
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,160 @@
+/**
+ * Cross-source category taxonomy
+ * Translates a category seed into per-source queries and maps the categories
+ * each source reports back to a normalized business.categoryId
+ */
+
+import { readFileSync } from 'fs';
+import { log } from 'crawlee';
+
+const BUNDLED_TAXONOMY = JSON.parse(
+  readFileSync(new URL('../data/categoryTaxonomy.json', import.meta.url), 'utf8')
+);
+
+// Bundled entries extended (or overridden by id) with entries from input.categoryTaxonomy
+export function loadTaxonomy(extraEntries = []) {
+  const byId = new Map(BUNDLED_TAXONOMY.categories.map(entry => [entry.id, entry]));
+
+  for (const entry of extraEntries) {
+    if (!entry?.id || !entry?.label) {
+      log.warning('Skipping category taxonomy entry without id/label');
+      continue;
+    }
+    byId.set(entry.id, { ...byId.get(entry.id), ...entry });
+  }
+
+  const categories = [...byId.values()];
+  return { categories, index: buildIndex(categories) };
+}
+
+function buildIndex(categories) {
+  const index = new Map();
+
+  for (const entry of categories) {
+    const terms = [
+      entry.id,
+      entry.label,
+      entry.googlePlaces?.type,
+      entry.googlePlaces?.keyword,
+      entry.bbb,
+      ...(entry.aliases || []),
+      ...(entry.yelp?.aliases || [])
+    ];
+
+    for (const term of terms) {
+      const key = normalizeTerm(term);
+      if (key && !index.has(key)) {
+        index.set(key, entry.id);
+      }
+    }
+  }
+
+  return index;
+}
+
+function normalizeTerm(term) {
+  return (term || '')
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ')
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Turn input.categories into discovery seeds. Unknown categories fall back to a
+ * plain keyword seed so the run still searches for them.
+ */
+export function resolveCategorySeeds(categoryInputs, taxonomy) {
+  const seeds = [];
+
+  for (const input of categoryInputs || []) {
+    const id = taxonomy.index.get(normalizeTerm(input));
+    const entry = taxonomy.categories.find(c => c.id === id);
+
+    if (!entry) {
+      log.warning(`Category "${input}" is not in the taxonomy, searching it as a keyword`);
+      seeds.push({ id: '', label: input, keyword: input, entry: null });
+      continue;
+    }
+
+    seeds.push({ id: entry.id, label: entry.label, keyword: entry.label, entry });
+  }
+
+  return seeds;
+}
+
+export function keywordSeeds(keywords) {
+  return (keywords || []).map(keyword => ({ id: '', label: keyword, keyword, entry: null }));
+}
+
+/**
+ * Queries to run on one source for one seed: [{ keyword, options }]
+ * Source-specific filters (Places type, Yelp category aliases) ride along in options.
+ */
+export function buildSourceQueries(seed, source, options) {
+  const entry = seed.entry;
+  if (!entry) {
+    return [{ keyword: seed.keyword, options }];
+  }
+
+  switch (source) {
+    case 'googleMaps':
+      return [{
+        keyword: entry.googlePlaces?.keyword || entry.label,
+        options: { ...options, placesType: entry.googlePlaces?.type || '' }
+      }];
+    case 'yelp':
+      return [{
+        keyword: entry.label,
+        options: { ...options, yelpCategories: entry.yelp?.aliases || [] }
+      }];
+    case 'bbb':
+      return [{ keyword: entry.bbb || entry.label, options }];
+    case 'serp':
+      return (entry.serp?.length ? entry.serp : [entry.label]).map(phrase => ({ keyword: phrase, options }));
+    default:
+      return [{ keyword: entry.label, options }];
+  }
+}
+
+// Run every query for a seed on one source and tag category-seeded leads with the seed's id
+export async function discoverForSeed(seed, source, options, scrape) {
+  const leads = [];
+
+  for (const query of buildSourceQueries(seed, source, options)) {
+    leads.push(...await scrape(query.keyword, query.options));
+  }
+
+  if (seed.id) {
+    leads.forEach(lead => {
+      lead.business.categoryId = seed.id;
+    });
+  }
+
+  return leads;
+}
+
+// Map the categories a source reported (Google types, Yelp aliases/titles, BBB text) to a taxonomy id
+export function assignCategoryId(lead, taxonomy) {
+  if (lead.business.categoryId) {
+    return lead.business.categoryId;
+  }
+
+  const candidates = [
+    ...(lead.sources?.yelp?.categories || []),
+    lead.business.category,
+    ...(lead.business.categories || [])
+  ];
+
+  for (const candidate of candidates) {
+    const id = taxonomy.index.get(normalizeTerm(candidate));
+    if (id) {
+      lead.business.categoryId = id;
+      return id;
+    }
+  }
+
+  lead.business.categoryId = '';
+  return '';
+}
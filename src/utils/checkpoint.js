@@ -0,0 +1,183 @@
+/**
+ * Run checkpoints
+ * Progress is saved to the run's default key-value store on the platform's
+ * persistState interval and on migrating/aborting events. A restarted run with
+ * the same input picks up from the last finished unit of work:
+ *   discovery  - completed location × seed × source tasks and their leads
+ *   enrichment - the deduped lead list plus which leads are already enriched
+ *   ai         - which leads already have outreach drafts
+ *   done       - output was pushed; nothing left to do
+ */
+
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+import crypto from 'crypto';
+import { getApiCostEstimate, recordApiCall } from './apiCost.js';
+
+const CHECKPOINT_KEY = 'CHECKPOINT';
+
+export async function openCheckpoint(input) {
+  const enabled = input.checkpoint?.enabled !== false;
+  const inputHash = crypto.createHash('sha1').update(JSON.stringify(input)).digest('hex');
+  let state = emptyState(inputHash);
+  let resumed = false;
+
+  if (enabled) {
+    const saved = await loadCheckpoint();
+
+    if (saved?.inputHash === inputHash) {
+      state = saved;
+      resumed = true;
+      Object.entries(saved.apiCalls || {}).forEach(([sku, count]) => recordApiCall(sku, count));
+      log.info(`Resuming from checkpoint: phase ${saved.phase}, ${Object.keys(saved.discoveryTasks).length} discovery tasks, ${saved.enriched.length} enriched, ${saved.aiDone.length} AI drafts`);
+    } else if (saved) {
+      log.info('Ignoring checkpoint saved for a different input');
+    }
+  }
+
+  let sourceStats = null;
+  let dirty = false;
+  let writing = Promise.resolve();
+  const enrichedSet = new Set(state.enriched);
+  const aiDoneSet = new Set(state.aiDone);
+
+  const checkpoint = {
+    enabled,
+    resumed,
+
+    get phase() {
+      return state.phase;
+    },
+
+    get leads() {
+      return state.leads;
+    },
+
+    get totals() {
+      return { totalFound: state.totalFound, sourceCoverage: state.sourceCoverage };
+    },
+
+    // Restore saved per-source counters into the live stats object and keep it for later saves
+    attachStats(stats) {
+      for (const [id, saved] of Object.entries(state.sourceStats || {})) {
+        if (stats[id]) Object.assign(stats[id], saved);
+      }
+      sourceStats = stats;
+    },
+
+    completedTask(key) {
+      return state.discoveryTasks[key];
+    },
+
+    recordTask(key, leads) {
+      state.discoveryTasks[key] = leads;
+      dirty = true;
+    },
+
+    // Discovery and dedupe are done; from here on the lead list itself is the checkpoint
+    startProcessing(leads, totals) {
+      state.phase = 'enrichment';
+      state.leads = leads;
+      state.totalFound = totals.totalFound;
+      state.sourceCoverage = totals.sourceCoverage;
+      state.discoveryTasks = {};
+      dirty = true;
+      return checkpoint.persist('discovery finished');
+    },
+
+    setPhase(phase) {
+      state.phase = phase;
+      dirty = true;
+    },
+
+    isEnriched(index) {
+      return enrichedSet.has(index);
+    },
+
+    markEnriched(index) {
+      enrichedSet.add(index);
+      dirty = true;
+    },
+
+    isAiDone(index) {
+      return aiDoneSet.has(index);
+    },
+
+    markAiDone(index) {
+      aiDoneSet.add(index);
+      dirty = true;
+    },
+
+    async finish() {
+      state.phase = 'done';
+      dirty = true;
+      await checkpoint.persist('run finished');
+    },
+
+    // Writes are serialized so an event-triggered save never races a regular one
+    persist(reason) {
+      if (!enabled || !dirty) return writing;
+      dirty = false;
+
+      writing = writing.then(async () => {
+        try {
+          state.enriched = [...enrichedSet];
+          state.aiDone = [...aiDoneSet];
+          state.sourceStats = sourceStats || state.sourceStats;
+          state.apiCalls = Object.fromEntries(
+            Object.entries(getApiCostEstimate().calls).map(([sku, { count }]) => [sku, count])
+          );
+          state.updatedAt = new Date().toISOString();
+
+          await Actor.setValue(CHECKPOINT_KEY, state);
+          log.debug(`Checkpoint saved (${reason})`);
+        } catch (error) {
+          log.warning('Failed to save checkpoint:', error.message);
+        }
+      });
+
+      return writing;
+    }
+  };
+
+  if (enabled) {
+    Actor.on('persistState', () => checkpoint.persist('interval'));
+    Actor.on('migrating', () => {
+      log.info('Run is migrating, saving checkpoint');
+      dirty = true;
+      return checkpoint.persist('migrating');
+    });
+    Actor.on('aborting', () => {
+      log.info('Run is aborting, saving checkpoint');
+      dirty = true;
+      return checkpoint.persist('aborting');
+    });
+  }
+
+  return checkpoint;
+}
+
+function emptyState(inputHash) {
+  return {
+    inputHash,
+    phase: 'discovery',
+    discoveryTasks: {},
+    leads: null,
+    totalFound: 0,
+    sourceCoverage: {},
+    enriched: [],
+    aiDone: [],
+    sourceStats: null,
+    apiCalls: {},
+    updatedAt: ''
+  };
+}
+
+async function loadCheckpoint() {
+  try {
+    return await Actor.getValue(CHECKPOINT_KEY);
+  } catch (error) {
+    log.warning('Failed to load checkpoint:', error.message);
+    return null;
+  }
+}
@@ -8,14 +8,20 @@ export function cleanLeadForOutput(lead) {
     // Core Business Info
     businessName: lead.business.name,
     category: lead.business.category,
+    categoryId: lead.business.categoryId || '',
     address: lead.business.address.formatted,
     city: lead.business.address.city,
     state: lead.business.address.state,
     zip: lead.business.address.postalCode,
+    distanceMiles: lead.distanceMiles ?? '',
     
     // Contact Information
     phone: lead.business.phone,
+    phoneSources: lead.provenance?.['business.phoneE164']?.sources.join(', ') || '',
+    phoneConfidence: lead.provenance?.['business.phoneE164']?.confidence ?? '',
     email: lead.contacts.emails[0]?.email || '',
+    emailPage: lead.contacts.emails[0]?.pageUrl || '',
+    contactFormUrl: lead.contacts.contactFormUrl || '',
     website: lead.online.website || '',
     
     // Additional Contacts
@@ -30,11 +36,24 @@ export function cleanLeadForOutput(lead) {
     // Business Signals
     rating: lead.signals.reviews.rating,
     reviewCount: lead.signals.reviews.reviewCount,
+    reviewsBySource: Object.entries(lead.signals.reviews.bySource || {})
+      .map(([source, r]) => `${source} ${r.rating} (${r.reviewCount})`)
+      .join(', '),
+    lastReviewDate: lead.signals.reviews.lastReviewDate || '',
+    reviewsLast90Days: lead.signals.reviews.reviewsLast90Days || 0,
+    reviewVelocity: lead.signals.reviews.velocityTrend || 'unknown',
+    ownerResponseRate: lead.signals.reviews.ownerResponseRate ?? '',
+    isFranchise: lead.signals.franchise?.isFranchise || false,
+    franchiseReason: (lead.signals.franchise?.reasons || []).join('; '),
     
     // Lead Quality
     leadScore: lead.score.leadScore,
     tier: lead.score.tier,
-    scoreReasons: lead.score.reasons.join(', '),
+    // '; ' rather than the original ', ': reason details contain commas (see README)
+    scoreReasons: lead.score.reasons.join('; '),
+    scoreMissing: (lead.score.missing || []).join('; '),
+    scorePreset: lead.score.preset || '',
+    ...flattenScoreBreakdown(lead.score.breakdown),
     
     // Website Features (for context)
     hasContactForm: lead.signals.websiteSignals?.hasContactForm || false,
@@ -50,10 +69,31 @@ export function cleanLeadForOutput(lead) {
     // Metadata
     source: getSource(lead.sources),
     collectedAt: lead.raw.collectedAt,
-    dedupeId: lead.dedupeId
+    entityId: lead.entityId || '',
+    dedupeId: lead.dedupeId,
+    matchEvidence: formatMatchEvidence(lead.matchEvidence),
+    mergeConflicts: (lead.mergeConflicts || []).map(c => c.field).join(', ')
   };
 }
 
+// Points per feature group: scoreReviews, scoreRecency, scoreHasWebsite, ...
+function flattenScoreBreakdown(breakdown) {
+  const columns = {};
+  for (const [group, component] of Object.entries(breakdown?.components || {})) {
+    columns[`score${group.charAt(0).toUpperCase()}${group.slice(1)}`] = component.points;
+  }
+  columns.scoreAdjustments = (breakdown?.adjustments || []).reduce((sum, a) => sum + a.points, 0);
+  return columns;
+}
+
+// "Joe's Plumbing (bbb) → phone+name+geo 0.91; ..."
+function formatMatchEvidence(evidence) {
+  if (!evidence?.length) return '';
+  return evidence
+    .map(e => `${e.lead} → ${e.rule} ${e.nameSimilarity}`)
+    .join('; ');
+}
+
 function extractEmailSubject(coldEmail) {
   if (!coldEmail) return '';
   const match = coldEmail.match(/^Subject:\s*(.+?)(?:\n|$)/m);
@@ -71,7 +111,10 @@ function getSource(sources) {
   if (sources.googleMaps) return 'Google Maps';
   if (sources.yelp) return 'Yelp';
   if (sources.bbb) return 'BBB';
+  if (sources.chambers) return 'Chamber of Commerce';
+  if (sources.nicheDirectories) return Object.values(sources.nicheDirectories)[0]?.directory || 'Niche Directory';
   if (sources.serp) return 'Google Search';
+  if (sources.customUrl) return 'Custom URL';
   return 'Unknown';
 }
 
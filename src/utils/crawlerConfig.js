@@ -0,0 +1,10 @@
+import { Configuration } from 'crawlee';
+
+/**
+ * Crawlers created without a config share the default request queue, so two
+ * discovery crawlers running at the same time would process each other's
+ * requests. Each discovery crawler gets its own in-memory storage instead.
+ */
+export function isolatedCrawlerConfig() {
+  return new Configuration({ persistStorage: false });
+}
@@ -1,8 +1,9 @@
 import crypto from 'crypto';
+import { addressKey } from './address.js';
 
 export function generateDedupeId(business) {
   const normName = normalizeName(business.name);
-  const normAddress = normalizeAddress(business.address?.formatted);
+  const normAddress = addressKey(business.address);
   const domain = business.domain || '';
   const phoneE164 = business.phoneE164 || '';
   
@@ -18,10 +19,3 @@ function normalizeName(name) {
     .trim();
 }
 
-function normalizeAddress(address) {
-  return (address || '')
-    .toLowerCase()
-    .replace(/[^\w\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
@@ -8,9 +8,12 @@ export async function applyDeltaMode(leads) {
   
   for (const lead of leads) {
     const contentHash = computeContentHash(lead);
-    newState[lead.dedupeId] = contentHash;
+    // Entity IDs survive phone/domain changes; state saved before they existed is keyed by dedupeId
+    const key = lead.entityId || lead.dedupeId;
+    const previousHash = prevState[key] || prevState[lead.dedupeId];
+    newState[key] = contentHash;
     
-    if (!prevState[lead.dedupeId] || prevState[lead.dedupeId] !== contentHash) {
+    if (!previousHash || previousHash !== contentHash) {
       changedLeads.push(lead);
     }
   }
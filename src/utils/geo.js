@@ -0,0 +1,151 @@
+/**
+ * Geo helpers: distances, grid tiling of a radius-mode search circle and
+ * geohash cells for proximity lookups
+ */
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LAT = 69.0;
+export const METERS_PER_MILE = 1609.344;
+
+export function haversineMiles(a, b) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Square cell centered on `center` with side `sizeMiles`. `radiusMiles` is the
+// circumscribed circle used for the nearby search, so the whole square is covered.
+function makeCell(center, sizeMiles, depth = 0) {
+  return {
+    lat: center.lat,
+    lng: center.lng,
+    sizeMiles: sizeMiles,
+    radiusMiles: sizeMiles * Math.SQRT2 / 2,
+    depth: depth
+  };
+}
+
+function offset(center, northMiles, eastMiles) {
+  const milesPerDegreeLng = MILES_PER_DEGREE_LAT * Math.cos(center.lat * Math.PI / 180);
+  return {
+    lat: center.lat + northMiles / MILES_PER_DEGREE_LAT,
+    lng: center.lng + eastMiles / milesPerDegreeLng
+  };
+}
+
+/**
+ * Cover a circle with a grid of square cells no larger than maxCellMiles.
+ * Cells that do not touch the circle are dropped.
+ */
+export function tileCircle(center, radiusMiles, maxCellMiles = 5) {
+  const perSide = Math.max(1, Math.ceil((radiusMiles * 2) / maxCellMiles));
+  const sizeMiles = (radiusMiles * 2) / perSide;
+  const cells = [];
+
+  for (let row = 0; row < perSide; row++) {
+    for (let col = 0; col < perSide; col++) {
+      const north = radiusMiles - sizeMiles * (row + 0.5);
+      const east = -radiusMiles + sizeMiles * (col + 0.5);
+      const cell = makeCell(offset(center, north, east), sizeMiles);
+
+      if (cellIntersectsCircle(cell, center, radiusMiles)) {
+        cells.push(cell);
+      }
+    }
+  }
+
+  return cells;
+}
+
+// Split a cell into four quadrants (used when a cell hits the API result cap)
+export function splitCell(cell) {
+  const half = cell.sizeMiles / 2;
+  const quarter = cell.sizeMiles / 4;
+
+  return [
+    [quarter, -quarter],
+    [quarter, quarter],
+    [-quarter, -quarter],
+    [-quarter, quarter]
+  ].map(([north, east]) => makeCell(offset(cell, north, east), half, cell.depth + 1));
+}
+
+export function cellIntersectsCircle(cell, center, radiusMiles) {
+  return haversineMiles(center, cell) <= radiusMiles + cell.radiusMiles;
+}
+
+// South-west / north-east corners of a square cell
+export function cellBounds(cell) {
+  const half = cell.sizeMiles / 2;
+  return {
+    low: offset(cell, -half, -half),
+    high: offset(cell, half, half)
+  };
+}
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export function geohash(lat, lng, precision) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let char = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    char <<= 1;
+    if (value >= mid) {
+      char |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[char];
+      bits = 0;
+      char = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Longest geohash whose cells are at least `miles` tall and wide (up to 60° latitude)
+export function geohashPrecisionFor(miles) {
+  for (let precision = 9; precision > 1; precision--) {
+    const latBits = Math.floor(precision * 5 / 2);
+    const lngBits = Math.ceil(precision * 5 / 2);
+    const heightMiles = 180 / 2 ** latBits * MILES_PER_DEGREE_LAT;
+    const widthMiles = 360 / 2 ** lngBits * MILES_PER_DEGREE_LAT * Math.cos(Math.PI / 3);
+    if (heightMiles >= miles && widthMiles >= miles) return precision;
+  }
+  return 1;
+}
+
+/**
+ * Geohash cells that can hold a point within `miles` of `point`: its own cell
+ * and the cells of the eight points `miles` away. Complete when cells are at
+ * least `miles` across, i.e. at geohashPrecisionFor(miles) or coarser.
+ */
+export function geohashNeighborhood(point, miles, precision) {
+  const cells = new Set();
+
+  for (const north of [-miles, 0, miles]) {
+    for (const east of [-miles, 0, miles]) {
+      const shifted = offset(point, north, east);
+      cells.add(geohash(shifted.lat, shifted.lng, precision));
+    }
+  }
+
+  return [...cells];
+}
@@ -0,0 +1,173 @@
+/**
+ * Persistent business identity graph
+ * Maps every identifier a business has been seen with (Google place ID, Yelp ID,
+ * BBB ID, website domain, E.164 phone) to a stable LeadGraph entity ID, kept in
+ * a named key-value store so it survives across runs. A lead that shares any
+ * identifier with a known entity gets that entity's ID, and its new identifiers
+ * are added to the entity, so a business keeps its ID when it changes phone or
+ * when enrichment finds its website.
+ *
+ * Source IDs are strong identifiers: two different place IDs are two different
+ * businesses, so domain / phone matches (shared by chain locations) never link
+ * a lead to an entity whose source ID of the same kind differs.
+ */
+
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+import crypto from 'crypto';
+import { normalizeDomain } from '../processing/dedupe.js';
+
+const DEFAULT_STORE_NAME = 'leadgraph-identity';
+const GRAPH_KEY = 'IDENTITY_GRAPH';
+const STRONG_TYPES = ['placeId', 'yelp', 'bbb'];
+
+export async function openIdentityGraph(options = {}) {
+  const storeName = options.storeName || DEFAULT_STORE_NAME;
+  const graph = await loadGraph(storeName);
+  const stats = { matched: 0, created: 0, merged: 0 };
+
+  // Entities absorbed by a later merge point at the surviving one
+  const canonical = (entityId) => {
+    let id = entityId;
+    while (graph.entities[id]?.mergedInto) id = graph.entities[id].mergedInto;
+    return id;
+  };
+
+  const entityFor = (key) => graph.ids[key] ? canonical(graph.ids[key]) : null;
+
+  return {
+    stats,
+
+    resolve(lead) {
+      const identifiers = leadIdentifiers(lead);
+      const now = new Date().toISOString();
+      let entityId = null;
+
+      // Strong IDs first; a lead carrying two source IDs can join entities seen separately before
+      for (const identifier of identifiers.filter(id => id.strong)) {
+        const found = entityFor(identifier.key);
+        if (!found) continue;
+
+        if (!entityId) {
+          entityId = found;
+        } else if (found !== entityId && !conflicts(graph.entities[found], graph.entities[entityId].ids)) {
+          mergeEntities(graph, entityId, found);
+          stats.merged++;
+        }
+      }
+
+      if (!entityId) {
+        entityId = identifiers
+          .filter(id => !id.strong)
+          .map(id => entityFor(id.key))
+          .find(found => found && !conflicts(graph.entities[found], identifiers.map(id => id.key))) || null;
+      }
+
+      if (entityId) {
+        stats.matched++;
+      } else {
+        entityId = `lg_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+        graph.entities[entityId] = { ids: [], name: '', firstSeen: now, lastSeen: now };
+        stats.created++;
+      }
+
+      const entity = graph.entities[entityId];
+      for (const { key } of identifiers) {
+        if (!graph.ids[key]) graph.ids[key] = entityId;
+        if (!entity.ids.includes(key)) entity.ids.push(key);
+      }
+      entity.name = lead.business?.name || entity.name;
+      entity.lastSeen = now;
+
+      lead.entityId = entityId;
+      return entityId;
+    },
+
+    // The known entity for a lead, without recording anything
+    lookup(lead) {
+      const identifiers = leadIdentifiers(lead);
+      const strong = identifiers.filter(id => id.strong).map(id => entityFor(id.key)).find(Boolean);
+      if (strong) return strong;
+
+      return identifiers
+        .filter(id => !id.strong)
+        .map(id => entityFor(id.key))
+        .find(found => found && !conflicts(graph.entities[found], identifiers.map(id => id.key))) || null;
+    },
+
+    resolveAll(leads) {
+      leads.forEach(lead => this.resolve(lead));
+      log.info(`Identity graph: ${stats.matched} known businesses, ${stats.created} new, ${stats.merged} entities merged`);
+      return leads;
+    },
+
+    async save() {
+      try {
+        const store = await Actor.openKeyValueStore(storeName);
+        await store.setValue(GRAPH_KEY, { ...graph, updatedAt: new Date().toISOString() });
+      } catch (error) {
+        log.warning('Failed to save identity graph:', error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Identifiers of a lead as { key: 'type:value', strong }. The dedupe ID is kept
+ * as a last resort for businesses with no source ID, domain or phone.
+ */
+export function leadIdentifiers(lead) {
+  const sources = lead.sources || {};
+  const identifiers = [];
+  const add = (type, value) => {
+    if (value) identifiers.push({ key: `${type}:${value}`, strong: STRONG_TYPES.includes(type) });
+  };
+
+  add('placeId', sources.googleMaps?.placeId);
+  add('yelp', sources.yelp?.bizId || sources.yelp?.alias);
+  add('bbb', bbbIdFromUrl(sources.bbb?.url));
+  add('domain', normalizeDomain(lead.online?.domain || lead.online?.website));
+  add('phone', lead.business?.phoneE164);
+  add('dedupe', lead.dedupeId);
+
+  return identifiers;
+}
+
+// .../profile/plumber/acme-plumbing-1296-90012345 → 1296-90012345
+function bbbIdFromUrl(url) {
+  const match = (url || '').match(/-(\d{3,4}-\d+)\/?(?:[?#].*)?$/);
+  return match ? match[1] : '';
+}
+
+// An entity conflicts with a lead when both have a source ID of the same kind and they differ
+function conflicts(entity, keys) {
+  return STRONG_TYPES.some(type => {
+    const prefix = `${type}:`;
+    const entityIds = entity.ids.filter(key => key.startsWith(prefix));
+    const leadIds = keys.filter(key => key.startsWith(prefix));
+    return entityIds.length > 0 && leadIds.length > 0 && !leadIds.some(key => entityIds.includes(key));
+  });
+}
+
+function mergeEntities(graph, survivorId, absorbedId) {
+  const survivor = graph.entities[survivorId];
+  const absorbed = graph.entities[absorbedId];
+
+  for (const key of absorbed.ids) {
+    graph.ids[key] = survivorId;
+    if (!survivor.ids.includes(key)) survivor.ids.push(key);
+  }
+  survivor.firstSeen = [survivor.firstSeen, absorbed.firstSeen].sort()[0];
+  graph.entities[absorbedId] = { ids: [], mergedInto: survivorId };
+}
+
+async function loadGraph(storeName) {
+  try {
+    const store = await Actor.openKeyValueStore(storeName);
+    const saved = await store.getValue(GRAPH_KEY);
+    if (saved?.ids && saved?.entities) return saved;
+  } catch (error) {
+    log.warning('Failed to load identity graph:', error.message);
+  }
+  return { version: 1, ids: {}, entities: {} };
+}
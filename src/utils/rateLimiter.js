@@ -0,0 +1,94 @@
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+
+const QUOTA_STORE_NAME = 'leadgraph-quotas';
+const QUOTA_KEY = 'DAILY_USAGE';
+
+/**
+ * Per-source limiter: caps concurrent discovery tasks, spaces requests out
+ * (requestsPerSecond / minIntervalMs) and enforces a daily request quota.
+ */
+export function createRateLimiter(name, config = {}, usedToday = 0) {
+  const {
+    requestsPerSecond = 0,
+    minIntervalMs = 0,
+    maxConcurrent = Infinity,
+    dailyQuota = 0
+  } = config;
+
+  const intervalMs = Math.max(minIntervalMs, requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0);
+  let nextSlot = 0;
+  let active = 0;
+  let used = usedToday;
+
+  return {
+    name,
+    config: { requestsPerSecond, minIntervalMs, maxConcurrent, dailyQuota },
+
+    get used() {
+      return used;
+    },
+
+    get exhausted() {
+      return dailyQuota > 0 && used >= dailyQuota;
+    },
+
+    hasCapacity() {
+      return active < maxConcurrent;
+    },
+
+    start() {
+      active++;
+    },
+
+    finish() {
+      active--;
+    },
+
+    // Call before each request; waits for the next free slot and counts it against the quota
+    async acquire() {
+      if (dailyQuota > 0 && used >= dailyQuota) {
+        throw new Error(`${name} daily quota of ${dailyQuota} requests reached`);
+      }
+      used++;
+
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + intervalMs;
+
+      if (slot > now) {
+        await new Promise(resolve => setTimeout(resolve, slot - now));
+      }
+    }
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Quota usage lives in a named store so it carries over between runs on the same day
+export async function loadDailyUsage() {
+  try {
+    const store = await Actor.openKeyValueStore(QUOTA_STORE_NAME);
+    const usage = await store.getValue(QUOTA_KEY);
+    return usage?.date === today() ? usage.used || {} : {};
+  } catch (error) {
+    log.warning('Failed to load source quota usage:', error.message);
+    return {};
+  }
+}
+
+export async function saveDailyUsage(limiters) {
+  try {
+    const used = {};
+    for (const [id, limiter] of Object.entries(limiters)) {
+      used[id] = limiter.used;
+    }
+
+    const store = await Actor.openKeyValueStore(QUOTA_STORE_NAME);
+    await store.setValue(QUOTA_KEY, { date: today(), used });
+  } catch (error) {
+    log.warning('Failed to save source quota usage:', error.message);
+  }
+}
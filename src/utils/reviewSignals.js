@@ -0,0 +1,83 @@
+/**
+ * Review activity signals
+ * Sources hand over a sample of recent reviews as { date, hasOwnerResponse }
+ * (hasOwnerResponse is null when the source does not say). The summary goes
+ * into signals.reviews next to rating and reviewCount:
+ *   lastReviewDate     - newest review in the sample (ISO)
+ *   reviewsLast90Days  - reviews in the sample from the last 90 days
+ *   velocityTrend      - rising / steady / slowing from the gaps between reviews,
+ *                        dormant when the newest is over 180 days old, unknown under 3 dates
+ *   ownerResponseRate  - share of reviews the owner answered, null when unknown
+ * Samples are small (Google returns 5, Yelp 3), so counts are lower bounds.
+ */
+
+const DAY_MS = 86400000;
+const ACTIVE_WINDOW_DAYS = 90;
+const DORMANT_AFTER_DAYS = 180;
+const MIN_TREND_SAMPLE = 3;
+// Average gap between reviews has to shrink or grow by this share to count as a trend
+const TREND_THRESHOLD = 0.25;
+const MAX_SAMPLE = 20;
+
+export const VELOCITY_TRENDS = ['rising', 'steady', 'slowing', 'dormant', 'unknown'];
+
+/**
+ * Reduce a source's review sample to the fields stored on signals.reviews.
+ * `recentReviews` keeps the (trimmed) sample so merge can combine sources.
+ */
+export function summarizeReviews(reviews = [], now = Date.now()) {
+  const sample = reviews
+    .map(review => ({ date: toIsoDate(review.date), hasOwnerResponse: review.hasOwnerResponse ?? null }))
+    .filter(review => review.date)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, MAX_SAMPLE);
+
+  const times = sample.map(review => Date.parse(review.date));
+  const answered = sample.filter(review => review.hasOwnerResponse !== null);
+
+  return {
+    lastReviewDate: sample[0]?.date || '',
+    reviewsLast90Days: times.filter(time => now - time <= ACTIVE_WINDOW_DAYS * DAY_MS).length,
+    velocityTrend: velocityTrend(times, now),
+    ownerResponseRate: answered.length > 0
+      ? Math.round(answered.filter(review => review.hasOwnerResponse).length / answered.length * 100) / 100
+      : null,
+    recentReviews: sample
+  };
+}
+
+// times are newest first; compares the average gap in the newer half with the older half
+function velocityTrend(times, now) {
+  if (times.length === 0) return 'unknown';
+  if (now - times[0] > DORMANT_AFTER_DAYS * DAY_MS) return 'dormant';
+  if (times.length < MIN_TREND_SAMPLE) return 'unknown';
+
+  const gaps = times.slice(1).map((time, i) => times[i] - time);
+  const half = Math.ceil(gaps.length / 2);
+  const average = list => list.reduce((sum, gap) => sum + gap, 0) / list.length;
+  // The wait since the newest review counts too: a stalled business is slowing down
+  const newer = average([now - times[0], ...gaps.slice(0, half)]);
+  const older = average(gaps.slice(half).length > 0 ? gaps.slice(half) : gaps);
+
+  if (older === 0) return newer === 0 ? 'steady' : 'slowing';
+  if (newer < older * (1 - TREND_THRESHOLD)) return 'rising';
+  if (newer > older * (1 + TREND_THRESHOLD)) return 'slowing';
+  return 'steady';
+}
+
+// Accepts ISO strings, Date objects, unix seconds (Google legacy) and "YYYY-MM-DD HH:mm:ss" (Yelp)
+function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') return '';
+
+  let time;
+  if (typeof value === 'number') {
+    time = value < 1e12 ? value * 1000 : value;
+  } else if (value instanceof Date) {
+    time = value.getTime();
+  } else {
+    const text = String(value).trim();
+    time = Date.parse(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? text.replace(' ', 'T') : text);
+  }
+
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+}
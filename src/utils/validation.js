@@ -1,5 +1,17 @@
-export function validateInput(input) {
-  if (!input.locations || input.locations.length === 0) {
+import { validateMergePolicy } from '../processing/mergePolicy.js';
+import { validateFilters } from '../processing/filters.js';
+import { validateScoring } from '../processing/scoring.js';
+
+// context.learnedPresets: scoring presets saved by earlier training runs
+export function validateInput(input, context = {}) {
+  if (input.geoMode === 'radius') {
+    if (!Number.isFinite(input.centerLat) || !Number.isFinite(input.centerLng)) {
+      throw new Error('centerLat and centerLng are required when using radius geo mode');
+    }
+    if (input.radiusMiles !== undefined && !(input.radiusMiles > 0)) {
+      throw new Error('radiusMiles must be greater than 0');
+    }
+  } else if (input.seedType !== 'customUrls' && (!input.locations || input.locations.length === 0)) {
     throw new Error('At least one location is required');
   }
   
@@ -7,9 +19,35 @@ export function validateInput(input) {
     throw new Error('At least one keyword is required when using keyword search');
   }
   
+  if (input.seedType === 'category' && (!input.categories || input.categories.length === 0)) {
+    throw new Error('At least one category is required when using category browse');
+  }
+  
   if (input.seedType === 'customUrls' && (!input.customUrls || input.customUrls.length === 0)) {
     throw new Error('At least one custom URL is required when using custom URLs');
   }
   
+  if (input.scoring) {
+    validateScoring(input.scoring, context.learnedPresets);
+  }
+  
+  if (input.filters) {
+    validateFilters(input.filters);
+  }
+  
+  if (input.dedupe?.mergePolicy) {
+    validateMergePolicy(input.dedupe.mergePolicy);
+  }
+  
+  if (input.placesApi?.fieldTier && !['basic', 'advanced', 'preferred'].includes(input.placesApi.fieldTier)) {
+    throw new Error('placesApi.fieldTier must be basic, advanced or preferred');
+  }
+  if (input.placesApi?.maxRadiusCells !== undefined && !(input.placesApi.maxRadiusCells >= 1)) {
+    throw new Error('placesApi.maxRadiusCells must be at least 1');
+  }
+  if (input.placesApi?.maxCostUsd !== undefined && !(input.placesApi.maxCostUsd >= 0)) {
+    throw new Error('placesApi.maxCostUsd must be 0 or more');
+  }
+  
   return true;
 }